@@ -0,0 +1,116 @@
+var branding = function () {
+    var log = new Log("/app/modules/branding.js");
+
+    var publicMethods = {};
+
+    var getConfigs = function (context) {
+        return context.app.conf["branding"] || {};
+    };
+
+    /**
+     * Resolves a configured URI. Absolute URLs are kept as they are, and paths are taken to be
+     * relative to the app context.
+     */
+    var resolveUri = function (context, uri) {
+        if (!uri) {
+            return null;
+        }
+        if (/^https?:\/\//i.test(uri)) {
+            return uri;
+        }
+        return context.app.context + "/" + String(uri).replace(/^\/+/, "");
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {Object} product name, product URI, and logo and favicon URIs, which are null when
+     * the units should use their own images
+     */
+    publicMethods.getProduct = function (context) {
+        var configs = getConfigs(context);
+        return {
+            productName: configs["productName"] || context.app.conf["appName"],
+            productUri: resolveUri(context, configs["productUri"] || "/"),
+            logoUri: resolveUri(context, configs["logo"]),
+            faviconUri: resolveUri(context, configs["favicon"])
+        };
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {Object} footer text, copyright holder and years, and links
+     */
+    publicMethods.getFooter = function (context) {
+        var footer = getConfigs(context)["footer"] || {};
+        var currentYear = new Date().getFullYear();
+        var startYear = parseInt(footer["copyrightStartYear"]) || currentYear;
+        var links = (footer["links"] || []).map(function (link) {
+            return {label: link["label"], url: resolveUri(context, link["url"]), icon: link["icon"]};
+        });
+        return {
+            text: footer["text"] || null,
+            copyrightHolder: footer["copyrightHolder"] || null,
+            copyrightYears: (startYear < currentYear) ? (startYear + " - " + currentYear) :
+                            String(currentYear),
+            links: links
+        };
+    };
+
+    /**
+     * Lightens, or with a negative amount darkens, a "#rrggbb" color the way the LESS lighten()
+     * and darken() functions do, i.e. by the given percentage points of HSL lightness.
+     */
+    var shiftLightness = function (hex, amount) {
+        var rgb = [1, 3, 5].map(function (i) {
+            return parseInt(hex.substr(i, 2), 16) / 255;
+        });
+        var max = Math.max.apply(null, rgb), min = Math.min.apply(null, rgb);
+        var h = 0, s = 0, l = (max + min) / 2, d = max - min;
+        if (d > 0) {
+            s = (l > 0.5) ? d / (2 - max - min) : d / (max + min);
+            h = (max == rgb[0]) ? ((rgb[1] - rgb[2]) / d + ((rgb[1] < rgb[2]) ? 6 : 0)) :
+                (max == rgb[1]) ? ((rgb[2] - rgb[0]) / d + 2) : ((rgb[0] - rgb[1]) / d + 4);
+            h /= 6;
+        }
+        l = Math.min(1, Math.max(0, l + amount / 100));
+        var q = (l < 0.5) ? l * (1 + s) : (l + s - l * s), p = 2 * l - q;
+        var toChannel = function (t) {
+            t = (t < 0) ? t + 1 : ((t > 1) ? t - 1 : t);
+            var value = (t < 1 / 6) ? p + (q - p) * 6 * t : (t < 1 / 2) ? q :
+                        (t < 2 / 3) ? p + (q - p) * (2 / 3 - t) * 6 : p;
+            var channel = Math.round(value * 255).toString(16);
+            return (channel.length == 1) ? "0" + channel : channel;
+        };
+        return "#" + toChannel(h + 1 / 3) + toChannel(h) + toChannel(h - 1 / 3);
+    };
+
+    /**
+     * Colors derived from "branding.primaryColor", which uuf.unit.theme applies over the theme
+     * stylesheets when rendering pages, so that the compiled themes stay as they are.
+     * @param context {Object} request context
+     * @return {Object} primary color, and its lighter (hover) and darker (brand) shades, or null
+     * when the themes should keep their own primary color
+     */
+    publicMethods.getPrimaryColors = function (context) {
+        var color = getConfigs(context)["primaryColor"];
+        if (!color) {
+            return null;
+        }
+        // Only hex colors, as the value ends up in a style element and its shades are computed.
+        if (!/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(color)) {
+            log.warn("Ignoring invalid branding.primaryColor '" + color + "'.");
+            return null;
+        }
+        if (color.length == 4) {
+            color = color.replace(/[0-9a-fA-F]/g, "$&$&");
+        }
+        color = color.toLowerCase();
+        return {
+            color: color,
+            lighter: shiftLightness(color, 10),
+            darker: shiftLightness(color, -5)
+        };
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,39 @@
+var USER_SESSION_KEY = "_UUF_USER";
+
+var USER_STORE_CARBON = "carbon";
+var USER_STORE_FILE = "file";
+var USER_STORE_CLAIMS = "claims";
+
+var AUTHENTICATOR_SSO = "sso";
+var AUTHENTICATOR_OIDC = "oidc";
+
+var PAGE_PREFIX = "uuf.page.";
+
+var LOGIN_ATTEMPTS_APP_KEY = "_UUF_LOGIN_ATTEMPTS";
+
+var SIGNALS_APP_KEY = "_UUF_SIGNALS";
+
+var NOTIFICATION_STREAMS_APP_KEY = "_UUF_NOTIFICATION_STREAMS";
+var NOTIFICATION_SOCKETS_APP_KEY = "_UUF_NOTIFICATION_SOCKETS";
+
+var CSRF_TOKEN_SESSION_KEY = "_UUF_CSRF_TOKEN";
+var CSRF_TOKEN_PARAMETER = "_csrf";
+var CSRF_TOKEN_HEADER = "X-CSRF-Token";
+
+var MFA_PENDING_SESSION_KEY = "_UUF_MFA_PENDING";
+
+var PERMISSIONS_SESSION_KEY = "_UUF_PERMISSIONS";
+
+var SSO_SESSION_KEY = "_UUF_SSO_SESSION";
+var SSO_SESSIONS_APP_KEY = "_UUF_SSO_SESSIONS";
+
+var OIDC_SESSION_KEY = "_UUF_OIDC";
+
+var LOCALE_SESSION_KEY = "_UUF_LOCALE";
+var I18N_BUNDLES_APP_KEY = "_UUF_I18N_BUNDLES";
+
+var PREFERENCES_SESSION_KEY = "_UUF_PREFERENCES";
+
+var TOASTS_SESSION_KEY = "_UUF_TOASTS";
+
+var FLASH_SESSION_KEY = "_UUF_FLASH";
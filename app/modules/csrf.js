@@ -0,0 +1,66 @@
+var csrf = function () {
+    var log = new Log("/app/modules/csrf.js");
+    var constants = require("/app/modules/constants.js");
+
+    var publicMethods = {};
+
+    var SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+    var generateToken = function () {
+        var bytes = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 32);
+        new java.security.SecureRandom().nextBytes(bytes);
+        var token = "";
+        for (var i = 0; i < bytes.length; i++) {
+            token += ("0" + (bytes[i] & 0xff).toString(16)).slice(-2);
+        }
+        return token;
+    };
+
+    /**
+     * Returns the anti-forgery token of the current session, creating one if needed.
+     * @return {string} CSRF token
+     */
+    publicMethods.getToken = function () {
+        var token = session.get(constants.CSRF_TOKEN_SESSION_KEY);
+        if (!token) {
+            token = generateToken();
+            session.put(constants.CSRF_TOKEN_SESSION_KEY, token);
+        }
+        return token;
+    };
+
+    /**
+     * Checks whether the current request carries the CSRF token of the session, either in the
+     * "_csrf" parameter or in the "X-CSRF-Token" header. Requests with safe methods are always
+     * valid.
+     * @return {boolean} true if the request is valid
+     */
+    publicMethods.isValid = function () {
+        if (SAFE_METHODS.indexOf(String(request.getMethod()).toUpperCase()) >= 0) {
+            return true;
+        }
+        var expected = session.get(constants.CSRF_TOKEN_SESSION_KEY);
+        var actual = request.getHeader(constants.CSRF_TOKEN_HEADER) ||
+                     request.getParameter(constants.CSRF_TOKEN_PARAMETER);
+        if (!expected || !actual) {
+            return false;
+        }
+        return java.security.MessageDigest.isEqual(new java.lang.String(expected).getBytes("UTF-8"),
+                                                   new java.lang.String(actual).getBytes("UTF-8"));
+    };
+
+    /**
+     * Rejects the current request with HTTP 403 if it fails the CSRF check. Pages handling POST
+     * requests should call this at the beginning of their onRequest.
+     */
+    publicMethods.enforce = function () {
+        if (!publicMethods.isValid()) {
+            log.warn("Rejected " + request.getMethod() + " request to '" + request.getRequestURI() +
+                     "' with a missing or invalid CSRF token.");
+            response.sendError(403, "Invalid or missing CSRF token.");
+            exit();
+        }
+    };
+
+    return publicMethods;
+}();
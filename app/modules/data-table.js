@@ -0,0 +1,349 @@
+var dataTable = function () {
+    var log = new Log("/app/modules/data-table.js");
+
+    var publicMethods = {};
+
+    var MAX_LENGTH = 1000;
+    var MAX_DISTINCT_VALUES = 500;
+    var EXPORT_BATCH_SIZE = 500;
+    var MAX_EXPORT_ROWS = 100000;
+    var FORMATS_PATH = "/app/units/uuf.unit.lib.data-table/public/js/data-table-formats.js";
+
+    var getString = function (name) {
+        var value = request.getParameter(name);
+        return (value == null) ? "" : String(value);
+    };
+
+    var getInt = function (name, defaultValue) {
+        var value = parseInt(request.getParameter(name));
+        return isNaN(value) ? defaultValue : value;
+    };
+
+    /**
+     * Parses a server-side processing request of $.fn.datatables_extended, which follows the
+     * DataTables 1.10 protocol. Searches are always plain text; regular expressions sent by the
+     * browser are not honoured.
+     * @return {Object} "draw", "start", "length" (at most 1000), "search" (global search text),
+     * "columns" (each with "data", "searchable", "orderable" and "search") and "order" (each with
+     * "column", the "data" of the ordered column, and "dir", "asc" or "desc")
+     */
+    publicMethods.getRequest = function () {
+        var columns = [];
+        for (var i = 0; request.getParameter("columns[" + i + "][data]") != null; i++) {
+            var prefix = "columns[" + i + "]";
+            columns.push({
+                data: getString(prefix + "[data]"),
+                searchable: (getString(prefix + "[searchable]") != "false"),
+                orderable: (getString(prefix + "[orderable]") != "false"),
+                search: getString(prefix + "[search][value]")
+            });
+        }
+        var order = [];
+        for (var j = 0; request.getParameter("order[" + j + "][column]") != null; j++) {
+            var column = columns[getInt("order[" + j + "][column]", -1)];
+            if (column && column.orderable) {
+                var dir = (getString("order[" + j + "][dir]") == "desc") ? "desc" : "asc";
+                order.push({column: column.data, dir: dir});
+            }
+        }
+        var length = getInt("length", 10);
+        return {
+            draw: getInt("draw", 0),
+            start: Math.max(getInt("start", 0), 0),
+            length: ((length < 0) || (length > MAX_LENGTH)) ? MAX_LENGTH : length,
+            search: getString("search[value]"),
+            columns: columns,
+            order: order
+        };
+    };
+
+    /**
+     * Prints the response to a server-side processing request as JSON and ends the request.
+     * @param tableRequest {Object} request returned by getRequest
+     * @param result {Object} "recordsTotal" (rows before filtering), "recordsFiltered" (rows
+     * after filtering) and "data" (rows of the requested page)
+     */
+    publicMethods.sendResponse = function (tableRequest, result) {
+        response.contentType = "application/json";
+        print({
+            draw: tableRequest.draw,
+            recordsTotal: result.recordsTotal,
+            recordsFiltered: result.recordsFiltered,
+            data: result.data
+        });
+        exit();
+    };
+
+    /**
+     * Parses a request for the options of a select filter.
+     * @return {Object} "column", the "data" of the column, and "search", text the options should
+     * contain
+     */
+    publicMethods.getDistinctRequest = function () {
+        return {column: getString("column"), search: getString("search")};
+    };
+
+    /**
+     * Prints the options of a select filter as a JSON array and ends the request. Values are
+     * sorted, duplicates dropped, and at most 500 values are sent.
+     * @param values {Array} distinct values of the column
+     */
+    publicMethods.sendDistinctValues = function (values) {
+        var unique = [];
+        var seen = {};
+        for (var i = 0; i < values.length; i++) {
+            var value = (values[i] == null) ? "" : String(values[i]);
+            if (!seen.hasOwnProperty(value)) {
+                seen[value] = true;
+                unique.push(value);
+            }
+        }
+        unique.sort();
+        if (unique.length > MAX_DISTINCT_VALUES) {
+            log.warn("Sending only the first " + MAX_DISTINCT_VALUES + " of " + unique.length +
+                     " distinct values.");
+            unique = unique.slice(0, MAX_DISTINCT_VALUES);
+        }
+        response.contentType = "application/json";
+        print(unique);
+        exit();
+    };
+
+    var toText = function (value) {
+        return (value == null) ? "" : String(value);
+    };
+
+    var getIds = function () {
+        var ids;
+        try {
+            ids = parse(getString("ids") || "null");
+        } catch (e) {
+            ids = undefined;
+        }
+        if ((ids != null) && (!(ids instanceof Array) || (ids.length > MAX_LENGTH))) {
+            return undefined;
+        }
+        return ids && ids.map(String);
+    };
+
+    /**
+     * Streams all rows matching the filters and order of a server-side table as a CSV, Excel or
+     * PDF download, for the export menu of $.fn.datatables_extended, and ends the request. Rows
+     * are fetched from the source in batches, so that the whole export is never held in memory,
+     * and written with the same writers as exports of client-side tables, see
+     * uuf.unit.lib.data-table/public/js/data-table-formats.js.
+     * @param tableRequest {Object} request returned by getRequest, which the export menu sends
+     * along with "format" (csv, excel or pdf), "fileName" and, to export only the selected rows,
+     * "ids" (the row IDs as a JSON array)
+     * @param source {Object} object with a "query(tableRequest)" function, as returned by
+     * fromArray
+     * @param columns {Array} optional "data" and "title" of the columns to export, by default all
+     * columns of the request titled by their "data"
+     * @param rowIdSrc {string} optional property of the rows holding the row ID, "id" by default
+     */
+    publicMethods.sendExport = function (tableRequest, source, columns, rowIdSrc) {
+        var formats = require(FORMATS_PATH).dataTableFormats;
+        var formatName = getString("format");
+        var ids = getIds();
+        if (!formats.exists(formatName) || (ids === undefined)) {
+            response.sendError(400);
+            exit();
+        }
+        rowIdSrc = rowIdSrc || "id";
+        columns = columns || tableRequest.columns.map(function (column) {
+            return {data: column.data, title: column.data};
+        });
+        var fileName = getString("fileName").replace(/[^\w.-]/g, "_") || "export";
+        var writer = formats.createWriter(formatName, {title: fileName});
+        response.contentType = writer.contentType;
+        response.addHeader("Content-Disposition",
+                           "attachment; filename=\"" + fileName + writer.extension + "\"");
+
+        print(writer.start(columns.map(function (column) {
+            return toText(column.title);
+        })));
+        var batch = {};
+        for (var key in tableRequest) {
+            if (tableRequest.hasOwnProperty(key)) {
+                batch[key] = tableRequest[key];
+            }
+        }
+        batch.length = EXPORT_BATCH_SIZE;
+        for (batch.start = 0; batch.start < MAX_EXPORT_ROWS; batch.start += EXPORT_BATCH_SIZE) {
+            var rows = source.query(batch).data;
+            for (var i = 0; i < rows.length; i++) {
+                var id = (rows[i][rowIdSrc] != null) ? rows[i][rowIdSrc] : rows[i]["DT_RowId"];
+                if (ids && (ids.indexOf(toText(id)) < 0)) {
+                    continue;
+                }
+                print(writer.row(columns.map(function (column) {
+                    return toText(rows[i][column.data]);
+                })));
+            }
+            if (rows.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+        if (batch.start >= MAX_EXPORT_ROWS) {
+            log.warn("Export stopped after " + MAX_EXPORT_ROWS + " rows.");
+        }
+        print(writer.end());
+        exit();
+    };
+
+    /**
+     * Answers a bulk action request of $.fn.datatables_extended and ends the request. The action
+     * is run for each selected row. A row fails if the handler throws, which is logged, or
+     * returns false or a message to show the user.
+     * @param handler {function} function(id) running the action on one row
+     */
+    publicMethods.handleBulkAction = function (handler) {
+        response.contentType = "application/json";
+        if (request.getMethod() != "POST") {
+            response.status = 405;
+            print({error: "Method not allowed."});
+            exit();
+        }
+        require("/app/modules/csrf.js").csrf.enforce();
+        var ids;
+        try {
+            ids = parse(getString("ids") || "[]");
+        } catch (e) {
+            ids = null;
+        }
+        if (!(ids instanceof Array) || (ids.length > MAX_LENGTH)) {
+            response.status = 400;
+            print({error: "Expected a JSON array of at most " + MAX_LENGTH + " row IDs."});
+            exit();
+        }
+        var results = ids.map(function (id) {
+            try {
+                var outcome = handler(String(id));
+                if ((outcome === false) || (typeof outcome == "string")) {
+                    return {id: id, success: false, message: outcome || null};
+                }
+                return {id: id, success: true, message: null};
+            } catch (e) {
+                log.error("Bulk action failed for row '" + id + "'.", e);
+                return {id: id, success: false, message: null};
+            }
+        });
+        print({results: results});
+        exit();
+    };
+
+    /**
+     * Answers an inline cell edit request of $.fn.datatables_extended and ends the request. The
+     * edit fails if the handler throws, which is logged, or returns false or a message to show
+     * the user, and the browser then rolls the cell back.
+     * @param handler {function} function(id, column, value) saving the value of a cell, where
+     * column is the "data" of the column, or its index for columns without one
+     */
+    publicMethods.handleCellEdit = function (handler) {
+        response.contentType = "application/json";
+        if (request.getMethod() != "POST") {
+            response.status = 405;
+            print({error: "Method not allowed."});
+            exit();
+        }
+        require("/app/modules/csrf.js").csrf.enforce();
+        var id = request.getParameter("id");
+        var column = request.getParameter("column");
+        if ((id == null) || (column == null)) {
+            response.status = 400;
+            print({error: "Expected the row ID and the column of the edited cell."});
+            exit();
+        }
+        var result;
+        try {
+            var outcome = handler(String(id), String(column), getString("value"));
+            if ((outcome === false) || (typeof outcome == "string")) {
+                result = {success: false, message: outcome || null};
+            } else {
+                result = {success: true, message: null};
+            }
+        } catch (e) {
+            log.error("Cannot save column '" + column + "' of row '" + id + "'.", e);
+            result = {success: false, message: null};
+        }
+        print(result);
+        exit();
+    };
+
+    var contains = function (value, text) {
+        return String((value == null) ? "" : value).toLowerCase().indexOf(text.toLowerCase()) >= 0;
+    };
+
+    /**
+     * Answers all three kinds of requests from rows held in memory, e.g. a few thousand rows read from
+     * a file. Larger data sets should be filtered, ordered and paged by their store instead,
+     * using getRequest and sendResponse.
+     * @param rows {Array} rows, as objects keyed by the "data" of the columns
+     * @param selectColumns {Array} "data" of the columns filtered by a select filter, which match
+     * exactly instead of by containment
+     * @return {Object} "query(tableRequest)", returning the result for sendResponse, and
+     * "distinct(distinctRequest)", returning the values for sendDistinctValues
+     */
+    publicMethods.fromArray = function (rows, selectColumns) {
+        selectColumns = selectColumns || [];
+        var matches = function (row, tableRequest) {
+            var columns = tableRequest.columns;
+            var found = !tableRequest.search;
+            for (var i = 0; i < columns.length; i++) {
+                var value = row[columns[i].data];
+                if (columns[i].search) {
+                    var isMatch = (selectColumns.indexOf(columns[i].data) >= 0) ?
+                                  (String(value) == columns[i].search) :
+                                  contains(value, columns[i].search);
+                    if (!isMatch) {
+                        return false;
+                    }
+                }
+                if (!found && columns[i].searchable && contains(value, tableRequest.search)) {
+                    found = true;
+                }
+            }
+            return found;
+        };
+        var compare = function (order) {
+            return function (a, b) {
+                for (var i = 0; i < order.length; i++) {
+                    var x = a[order[i].column], y = b[order[i].column];
+                    if (x != y) {
+                        var result = (x < y) ? -1 : 1;
+                        return (order[i].dir == "desc") ? -result : result;
+                    }
+                }
+                return 0;
+            };
+        };
+        return {
+            query: function (tableRequest) {
+                var filtered = rows.filter(function (row) {
+                    return matches(row, tableRequest);
+                });
+                if (tableRequest.order.length > 0) {
+                    filtered.sort(compare(tableRequest.order));
+                }
+                return {
+                    recordsTotal: rows.length,
+                    recordsFiltered: filtered.length,
+                    data: filtered.slice(tableRequest.start,
+                                         tableRequest.start + tableRequest.length)
+                };
+            },
+            distinct: function (distinctRequest) {
+                var values = [];
+                for (var i = 0; i < rows.length; i++) {
+                    var value = rows[i][distinctRequest.column];
+                    if (contains(value, distinctRequest.search)) {
+                        values.push(value);
+                    }
+                }
+                return values;
+            }
+        };
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,63 @@
+var flash = function () {
+    var log = new Log("/app/modules/flash.js");
+    var constants = require("/app/modules/constants.js");
+
+    var publicMethods = {};
+
+    var TYPES = ["success", "info", "warning", "danger"];
+
+    /**
+     * Keeps a message in the session until the next page that renders the "flashes" zone, so that
+     * it survives a redirect without showing up in the URL, e.g.
+     * flash.add("danger", "Cannot save the changes") before response.sendRedirect.
+     * @param type {string} success, info, warning or danger
+     * @param message {string} message, escaped unless options.allowHtml is true
+     * @param options {Object} optional "title", "style" ("alert", the default, or "message" to
+     * render with uuf.unit.message), "id", "dismissable" and "allowHtml"
+     */
+    publicMethods.add = function (type, message, options) {
+        options = options || {};
+        if (TYPES.indexOf(type) < 0) {
+            log.warn("Unknown flash message type '" + type + "', using 'info' instead.");
+            type = "info";
+        }
+        var flashes = session.get(constants.FLASH_SESSION_KEY) || [];
+        flashes.push({
+            type: type,
+            message: String(message || ""),
+            title: options.title ? String(options.title) : null,
+            isMessage: (options.style == "message"),
+            id: options.id || null,
+            dismissable: !!options.dismissable,
+            allowHtml: !!options.allowHtml
+        });
+        session.put(constants.FLASH_SESSION_KEY, flashes);
+    };
+
+    TYPES.forEach(function (type) {
+        publicMethods[type] = function (message, options) {
+            publicMethods.add(type, message, options);
+        };
+    });
+
+    /**
+     * @return {boolean} true if the session has flash messages that are not rendered yet
+     */
+    publicMethods.hasPending = function () {
+        return (session.get(constants.FLASH_SESSION_KEY) || []).length > 0;
+    };
+
+    /**
+     * Removes the pending flash messages of the current session.
+     * @return {Array} pending flash messages, oldest first
+     */
+    publicMethods.drain = function () {
+        var flashes = session.get(constants.FLASH_SESSION_KEY) || [];
+        if (flashes.length > 0) {
+            session.remove(constants.FLASH_SESSION_KEY);
+        }
+        return flashes;
+    };
+
+    return publicMethods;
+}();
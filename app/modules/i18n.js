@@ -0,0 +1,283 @@
+var i18n = function () {
+    var log = new Log("/app/modules/i18n.js");
+    var constants = require("/app/modules/constants.js");
+
+    var publicMethods = {};
+
+    var BUNDLE_DIRECTORIES = ["/app/units", "/app/pages"];
+    var RTL_LANGUAGES = ["ar", "dv", "fa", "he", "ku", "ps", "ur", "yi"];
+
+    var getAppConf = function (context) {
+        return (context && context.app && context.app.conf) || require("/app/conf/app-conf.json");
+    };
+
+    var getConfigs = function (context) {
+        var configs = getAppConf(context)["i18n"] || {};
+        var defaultLocale = normalize(configs["defaultLocale"] || "en");
+        var locales = (configs["locales"] || [defaultLocale]).map(normalize);
+        return {defaultLocale: defaultLocale, locales: locales};
+    };
+
+    /**
+     * Normalizes a language tag to the form used in bundle file names, e.g. "pt_br" to "pt-BR".
+     */
+    var normalize = function (locale) {
+        var parts = String(locale).trim().replace(/_/g, "-").split("-");
+        var normalized = parts[0].toLowerCase();
+        for (var i = 1; i < parts.length; i++) {
+            normalized += "-" + ((parts[i].length == 2) ? parts[i].toUpperCase() : parts[i]);
+        }
+        return normalized;
+    };
+
+    /**
+     * Language tags of an Accept-Language header, most preferred first.
+     */
+    var parseAcceptLanguage = function (header) {
+        var ranges = [];
+        var entries = String(header || "").split(",");
+        for (var i = 0; i < entries.length; i++) {
+            var parts = entries[i].split(";");
+            var tag = parts[0].trim();
+            var quality = 1;
+            for (var j = 1; j < parts.length; j++) {
+                var parameter = parts[j].trim();
+                if (parameter.indexOf("q=") == 0) {
+                    quality = parseFloat(parameter.substring(2));
+                }
+            }
+            if (tag && (tag != "*") && !isNaN(quality) && (quality > 0)) {
+                ranges.push({tag: tag, quality: quality, order: i});
+            }
+        }
+        ranges.sort(function (a, b) {
+            return (b.quality - a.quality) || (a.order - b.order);
+        });
+        return ranges.map(function (range) {
+            return range.tag;
+        });
+    };
+
+    /**
+     * First candidate supported by the app, matching either the exact locale or its language.
+     */
+    var negotiate = function (configs, candidates) {
+        for (var i = 0; i < candidates.length; i++) {
+            if (!candidates[i]) {
+                continue;
+            }
+            var candidate = normalize(candidates[i]);
+            if (configs.locales.indexOf(candidate) >= 0) {
+                return candidate;
+            }
+            var language = candidate.split("-")[0];
+            if (configs.locales.indexOf(language) >= 0) {
+                return language;
+            }
+        }
+        return null;
+    };
+
+    var readBundle = function (path) {
+        var file = new File(path);
+        if (!file.isExists()) {
+            return null;
+        }
+        file.open("r");
+        try {
+            return parse(file.readAll());
+        } catch (e) {
+            log.error("Cannot read message bundle '" + path + "'.", e);
+            return null;
+        } finally {
+            file.close();
+        }
+    };
+
+    /**
+     * Path of the "i18n/<locale>.json" bundle of a unit or a page.
+     */
+    var getBundlePath = function (componentName, locale) {
+        var directory = (componentName.split(".")[1] == "unit") ? "/app/units/" : "/app/pages/";
+        return directory + componentName + "/i18n/" + locale + ".json";
+    };
+
+    /**
+     * Merges the "i18n/<locale>.json" bundles of all units and pages.
+     */
+    var loadBundles = function (locale) {
+        var messages = {};
+        for (var i = 0; i < BUNDLE_DIRECTORIES.length; i++) {
+            var components = new File(BUNDLE_DIRECTORIES[i]).listFiles();
+            for (var j = 0; j < components.length; j++) {
+                var path = BUNDLE_DIRECTORIES[i] + "/" + components[j].getName() + "/i18n/" +
+                           locale + ".json";
+                var bundle = readBundle(path);
+                for (var key in bundle) {
+                    if (bundle.hasOwnProperty(key)) {
+                        if (messages.hasOwnProperty(key)) {
+                            log.warn("Message '" + key + "' in '" + path + "' overrides another " +
+                                     "bundle.");
+                        }
+                        messages[key] = bundle[key];
+                    }
+                }
+            }
+        }
+        return messages;
+    };
+
+    var requestCache = {request: null, messages: {}};
+
+    /**
+     * Messages already merged during the current request, so that a page with many {{i18n}}
+     * helpers reads the bundles once even when caching is disabled.
+     */
+    var getRequestCache = function () {
+        if (requestCache.request !== request) {
+            requestCache = {request: request, messages: {}};
+        }
+        return requestCache.messages;
+    };
+
+    /**
+     * Messages of a locale, falling back to its language and then to the default locale for
+     * messages that are not translated. Merged messages are kept for the application when
+     * "cachingEnabled" is true, and for the current request otherwise.
+     * @param context {Object} request context
+     * @param locale {string} negotiated locale
+     * @param componentName {string} unit or page whose bundle to read, or null for all bundles
+     */
+    var getMessages = function (context, locale, componentName) {
+        var cachingEnabled = (String(getAppConf(context)["cachingEnabled"]) == "true");
+        var cache = cachingEnabled ? (application.get(constants.I18N_BUNDLES_APP_KEY) || {}) :
+                    getRequestCache();
+        var cacheKey = componentName ? locale + ":" + componentName : locale;
+        if (cache[cacheKey]) {
+            return cache[cacheKey];
+        }
+        var fallbacks = [getConfigs(context).defaultLocale, locale.split("-")[0], locale];
+        var messages = {};
+        for (var i = 0; i < fallbacks.length; i++) {
+            if ((i > 0) && (fallbacks[i] == fallbacks[i - 1])) {
+                continue;
+            }
+            var bundle = componentName ? readBundle(getBundlePath(componentName, fallbacks[i])) :
+                         loadBundles(fallbacks[i]);
+            for (var key in bundle) {
+                if (bundle.hasOwnProperty(key)) {
+                    messages[key] = bundle[key];
+                }
+            }
+        }
+        cache[cacheKey] = messages;
+        if (cachingEnabled) {
+            application.put(constants.I18N_BUNDLES_APP_KEY, cache);
+        }
+        return messages;
+    };
+
+    /**
+     * Negotiates the locale of the current request. The locale chosen by the user with
+     * setLocale comes first, then the "locale" of the user, then the Accept-Language header, and
+     * finally "i18n.defaultLocale" of app-conf.json.
+     * @param context {Object} request context
+     * @return {string} one of "i18n.locales" of app-conf.json
+     */
+    publicMethods.getLocale = function (context) {
+        var configs = getConfigs(context);
+        var user = session.get(constants.USER_SESSION_KEY) || (context && context.user);
+        var candidates = [session.get(constants.LOCALE_SESSION_KEY), user && user.locale]
+            .concat(parseAcceptLanguage(request.getHeader("Accept-Language")));
+        return negotiate(configs, candidates) || configs.defaultLocale;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {string} "rtl" if the negotiated locale is written right to left, otherwise "ltr"
+     */
+    publicMethods.getDirection = function (context) {
+        var language = publicMethods.getLocale(context).split("-")[0];
+        return (RTL_LANGUAGES.indexOf(language) >= 0) ? "rtl" : "ltr";
+    };
+
+    /**
+     * Remembers the locale chosen by the user for the rest of the session.
+     * @param context {Object} request context
+     * @param locale {string} language tag
+     * @return {boolean} true if the locale is supported
+     */
+    publicMethods.setLocale = function (context, locale) {
+        var supported = negotiate(getConfigs(context), [locale]);
+        if (!supported) {
+            return false;
+        }
+        session.put(constants.LOCALE_SESSION_KEY, supported);
+        return true;
+    };
+
+    /**
+     * Messages of the bundle of one unit or page, for scripts of that component in the browser.
+     * @param context {Object} request context
+     * @param componentName {string} fully qualified unit or page name
+     * @return {Object} messages by key
+     */
+    publicMethods.getComponentMessages = function (context, componentName) {
+        return getMessages(context, publicMethods.getLocale(context), componentName);
+    };
+
+    /**
+     * Looks up a message and fills its placeholders, e.g. "{0}" or "{name}", from the arguments.
+     * Falls back to the key itself when the message is not defined.
+     * @param context {Object} request context
+     * @param key {string} message key
+     * @param args {Array|Object} placeholder values
+     * @return {string} message
+     */
+    publicMethods.translate = function (context, key, args) {
+        var message = getMessages(context, publicMethods.getLocale(context))[key];
+        if (message == undefined) {
+            log.debug("Message '" + key + "' is not defined.");
+            return key;
+        }
+        args = args || {};
+        return String(message).replace(/\{([\w.-]+)\}/g, function (placeholder, name) {
+            return (args[name] != undefined) ? String(args[name]) : placeholder;
+        });
+    };
+
+    /**
+     * Registers the "i18n", "i18nLocale" and "i18nDirection" Handlebars helpers, e.g.
+     * {{i18n "sign-in.title"}} or {{i18n "greeting" name=@user.username}}. Helpers are
+     * registered only once, as they live on the Handlebars instance that renders every page.
+     */
+    publicMethods.registerHelpers = function () {
+        var Handlebars = require("handlebars").Handlebars;
+        if (Handlebars.helpers && Handlebars.helpers["i18n"]) {
+            return;
+        }
+        var toContext = function (options) {
+            var data = (options && options.data) || {};
+            return {app: data.app, user: data.user};
+        };
+        Handlebars.registerHelper("i18n", function (key) {
+            var options = arguments[arguments.length - 1];
+            var args = Array.prototype.slice.call(arguments, 1, arguments.length - 1);
+            var hash = options.hash || {};
+            for (var name in hash) {
+                if (hash.hasOwnProperty(name)) {
+                    args[name] = hash[name];
+                }
+            }
+            return publicMethods.translate(toContext(options), key, args);
+        });
+        Handlebars.registerHelper("i18nLocale", function (options) {
+            return publicMethods.getLocale(toContext(options));
+        });
+        Handlebars.registerHelper("i18nDirection", function (options) {
+            return publicMethods.getDirection(toContext(options));
+        });
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,165 @@
+var lockout = function () {
+    var log = new Log("/app/modules/lockout.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+
+    var publicMethods = {};
+
+    var defaults = {
+        enabled: true,
+        maxFailedAttemptsPerUser: 5,
+        maxFailedAttemptsPerIp: 20,
+        failedAttemptsWindow: 300,
+        lockoutDuration: 900
+    };
+
+    /**
+     * Returns the "authModule.lockout" configurations in app-conf.json merged over the defaults.
+     * Time values are in seconds.
+     * @param authModuleConfigs {Object} auth module configurations
+     * @return {Object} lockout configurations
+     */
+    var getConfigs = function (authModuleConfigs) {
+        var configs = authModuleConfigs["lockout"] || {};
+        var merged = {};
+        for (var key in defaults) {
+            if (defaults.hasOwnProperty(key)) {
+                merged[key] = (configs[key] == undefined) ? defaults[key] : configs[key];
+            }
+        }
+        merged.enabled = (merged.enabled.toString() == "true");
+        return merged;
+    };
+
+    /**
+     * Failed attempt records are kept application wide, keyed by "user:<username>" and
+     * "ip:<address>". Records whose window has passed without a lockout, and records whose
+     * lockout has ended, are dropped on every access, so that attempts spread over many
+     * usernames or addresses do not pile up. Must be called, and the records used, inside
+     * runExclusively.
+     * @param configs {Object} lockout configurations
+     * @param now {number} current time in milliseconds
+     * @return {Object} failed attempt records
+     */
+    var getRecords = function (configs, now) {
+        var records = application.get(constants.LOGIN_ATTEMPTS_APP_KEY);
+        if (!records) {
+            records = {};
+            application.put(constants.LOGIN_ATTEMPTS_APP_KEY, records);
+        }
+        for (var key in records) {
+            if (records.hasOwnProperty(key)) {
+                var record = records[key];
+                var isStale = record.lockedUntil ? (record.lockedUntil <= now) :
+                              ((now - record.firstFailure) > (configs.failedAttemptsWindow * 1000));
+                if (isStale) {
+                    delete records[key];
+                }
+            }
+        }
+        return records;
+    };
+
+    /**
+     * Runs a function while holding the lock of the failed attempt records, as concurrent login
+     * requests would otherwise lose each other's updates.
+     * @param fn {function} function to run
+     * @return {*} value returned by the function
+     */
+    var runExclusively = function (fn) {
+        return utility.runExclusively(constants.LOGIN_ATTEMPTS_APP_KEY, fn);
+    };
+
+    var getKeys = function (username, ipAddress) {
+        return [
+            {key: "user:" + username, limit: "maxFailedAttemptsPerUser"},
+            {key: "ip:" + ipAddress, limit: "maxFailedAttemptsPerIp"}
+        ];
+    };
+
+    /**
+     * Returns the number of seconds remaining until the given username or IP address is allowed
+     * to log in again, or 0 if neither is locked.
+     * @param authModuleConfigs {Object} auth module configurations
+     * @param username {string} username of the login attempt
+     * @param ipAddress {string} IP address of the login attempt
+     * @return {number} remaining lockout time in seconds
+     */
+    publicMethods.getRemainingLockoutTime = function (authModuleConfigs, username, ipAddress) {
+        var configs = getConfigs(authModuleConfigs);
+        if (!configs.enabled) {
+            return 0;
+        }
+        return runExclusively(function () {
+            var now = new Date().getTime();
+            var records = getRecords(configs, now);
+            var remaining = 0;
+            var keys = getKeys(username, ipAddress);
+            for (var i = 0; i < keys.length; i++) {
+                var record = records[keys[i].key];
+                if (record && record.lockedUntil) {
+                    remaining = Math.max(remaining, Math.ceil((record.lockedUntil - now) / 1000));
+                }
+            }
+            return remaining;
+        });
+    };
+
+    /**
+     * Records a failed login attempt against both the username and the IP address, locking
+     * either once it exceeds its limit within the failed attempts window.
+     * @param authModuleConfigs {Object} auth module configurations
+     * @param username {string} username of the login attempt
+     * @param ipAddress {string} IP address of the login attempt
+     */
+    publicMethods.recordFailure = function (authModuleConfigs, username, ipAddress) {
+        var configs = getConfigs(authModuleConfigs);
+        if (!configs.enabled) {
+            return;
+        }
+        runExclusively(function () {
+            var now = new Date().getTime();
+            var records = getRecords(configs, now);
+            var keys = getKeys(username, ipAddress);
+            for (var i = 0; i < keys.length; i++) {
+                var record = records[keys[i].key];
+                if (!record) {
+                    record = {count: 0, firstFailure: now};
+                    records[keys[i].key] = record;
+                }
+                record.count++;
+                if (record.count >= configs[keys[i].limit]) {
+                    record.lockedUntil = now + (configs.lockoutDuration * 1000);
+                    log.warn("Login locked for '" + keys[i].key + "' after " + record.count +
+                             " failed attempts.");
+                }
+            }
+        });
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param remainingLockoutTime {number} remaining lockout time in seconds
+     * @return {string} message shown to a locked out user
+     */
+    publicMethods.getMessage = function (context, remainingLockoutTime) {
+        var minutes = Math.ceil(remainingLockoutTime / 60);
+        return require("/app/modules/i18n.js").i18n.translate(context, "sign-in.error.locked",
+                                                              [minutes]);
+    };
+
+    /**
+     * Clears the failed attempts of the given username after a successful login.
+     * @param username {string} username of the login attempt
+     */
+    publicMethods.recordSuccess = function (username) {
+        runExclusively(function () {
+            var records = application.get(constants.LOGIN_ATTEMPTS_APP_KEY);
+            if (records) {
+                delete records["user:" + username];
+            }
+        });
+    };
+
+    return publicMethods;
+}();
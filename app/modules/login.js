@@ -0,0 +1,122 @@
+var login, onSuccess, onFail;
+(function () {
+    var log = new Log("/app/modules/login.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+    var userStore = require("/app/modules/user-store.js").userStore;
+    var lockout = require("/app/modules/lockout.js").lockout;
+    var csrf = require("/app/modules/csrf.js").csrf;
+    var mfa = require("/app/modules/mfa.js").mfa;
+    var sso = require("/app/modules/sso.js").sso;
+    var i18n = require("/app/modules/i18n.js").i18n;
+
+    /**
+     * Authenticates the credentials posted from the sign-in form to /uuf/login against the
+     * configured user store and hands over to onSuccess or onFail accordingly.
+     * @param context {Object} request context
+     */
+    login = function (context) {
+        var authModuleConfigs = utility.getAuthModuleConfigs(context);
+        var input = {
+            username: request.getParameter("username"),
+            password: request.getParameter("password"),
+            referer: utility.getValidReferer(context, request.getParameter("referer"))
+        };
+        context.input = input;
+
+        if (!csrf.isValid()) {
+            context.message = i18n.translate(context, "sign-in.error.expired");
+            onFail(context);
+            return;
+        }
+
+        if (!input.username || !input.password) {
+            context.message = i18n.translate(context, "sign-in.error.missing");
+            onFail(context);
+            return;
+        }
+
+        var ipAddress = request.getRemoteAddr();
+        var remainingLockoutTime = lockout.getRemainingLockoutTime(authModuleConfigs,
+                                                                   input.username, ipAddress);
+        if (remainingLockoutTime > 0) {
+            context.locked = true;
+            context.message = lockout.getMessage(context, remainingLockoutTime);
+            onFail(context);
+            return;
+        }
+
+        var user = null;
+        try {
+            user = userStore.get(authModuleConfigs).authenticate(input.username, input.password);
+        } catch (e) {
+            log.error("Cannot authenticate user '" + input.username + "'.", e);
+        }
+        // Password is no longer needed beyond this point.
+        delete input.password;
+
+        if (user) {
+            context.user = user;
+            if (mfa.isEnabled(context)) {
+                // Session is created, and failed attempts are cleared, only after the second
+                // factor is verified.
+                mfa.start(context);
+            } else {
+                lockout.recordSuccess(input.username);
+                onSuccess(context);
+            }
+        } else {
+            lockout.recordFailure(authModuleConfigs, input.username, ipAddress);
+            context.message = i18n.translate(context, "sign-in.error.incorrect");
+            onFail(context);
+        }
+    };
+
+    /**
+     * Creates the user session and redirects to the referer, or to the page configured under
+     * "authModule.login.onSuccess.page". For SSO logins, the SAML session index is expected in
+     * context.input.sessionIndex and is remembered for single logout.
+     * @param context {Object} request context
+     */
+    onSuccess = function (context) {
+        // Session ID changes on sign in, which rules out session fixation.
+        if (context.input && context.input.sessionIndex) {
+            // Permissions of SSO users are checked against the user store of the SSO configs.
+            context.user.authenticator = constants.AUTHENTICATOR_SSO;
+        }
+        var userSession = utility.renewSession([constants.LOCALE_SESSION_KEY]);
+        userSession.setAttribute(constants.USER_SESSION_KEY, context.user);
+        if (context.input && context.input.sessionIndex) {
+            sso.registerSession(userSession, context.user.username, context.input.sessionIndex);
+        }
+        log.info("User '" + context.user.username + "' logged in.");
+
+        var referer = utility.getValidReferer(context, context.input && context.input.referer);
+        if (referer) {
+            response.sendRedirect(referer);
+        } else {
+            var loginConfigs = utility.getAuthModuleConfigs(context)["login"];
+            response.sendRedirect(utility.getPageUri(context, loginConfigs["onSuccess"]["page"]));
+        }
+    };
+
+    /**
+     * Flashes the failure message and redirects back to the page configured under
+     * "authModule.login.onFail.page".
+     * @param context {Object} request context
+     */
+    onFail = function (context) {
+        var username = context.input && context.input.username;
+        log.warn("Login attempt failed for user '" + username + "'. " + context.message);
+
+        var loginConfigs = utility.getAuthModuleConfigs(context)["login"];
+        require("/app/modules/flash.js").flash.add(context.locked ? "warning" : "danger",
+                                                   context.message, {id: "_uuf_login-error-msg"});
+        var redirectUri = utility.getPageUri(context, loginConfigs["onFail"]["page"]);
+        var referer = utility.getValidReferer(context, context.input && context.input.referer);
+        if (referer) {
+            redirectUri = redirectUri + "?referer=" + encodeURIComponent(referer);
+        }
+        response.sendRedirect(redirectUri);
+    };
+})();
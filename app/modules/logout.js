@@ -0,0 +1,70 @@
+var logout, onSuccess, onFail;
+(function () {
+    var log = new Log("/app/modules/logout.js");
+    var utility = require("/app/modules/utility.js").utility;
+    var csrf = require("/app/modules/csrf.js").csrf;
+    var sso = require("/app/modules/sso.js").sso;
+
+    /**
+     * Invalidates the session of the current user and hands over to onSuccess or onFail
+     * accordingly. If the user logged in through SSO and single logout is enabled, a SAML
+     * LogoutRequest is returned instead, which the caller must post to the identity provider.
+     * The session then lives on until the LogoutResponse of the identity provider arrives at
+     * /sso/logout, since the page posting the request still needs it.
+     * @param context {Object} request context
+     * @return {Object} SAML LogoutRequest to post, if any
+     */
+    logout = function (context) {
+        if (!csrf.isValid()) {
+            log.warn("Rejected sign out request of user '" + context.user.username +
+                     "' with a missing or invalid CSRF token.");
+            context.message = "Invalid sign out request";
+            onFail(context);
+            return;
+        }
+        if (sso.isSingleLogoutEnabled(context)) {
+            var referer = utility.getValidReferer(context, request.getParameter("referer"));
+            var logoutRequest = sso.buildLogoutRequest(context, referer);
+            if (logoutRequest) {
+                log.info("User '" + context.user.username + "' is logging out. Starting single " +
+                         "logout.");
+                return logoutRequest;
+            }
+        }
+        sso.unregisterSession();
+        try {
+            session.invalidate();
+        } catch (e) {
+            log.error("Cannot invalidate session of user '" + context.user.username + "'.", e);
+            context.message = "Cannot sign out";
+            onFail(context);
+            return;
+        }
+        onSuccess(context);
+    };
+
+    /**
+     * Redirects to the page configured under "authModule.logout.onSuccess.page", passing on a
+     * valid referer so that the user returns there after signing in again.
+     * @param context {Object} request context
+     */
+    onSuccess = function (context) {
+        log.info("User '" + context.user.username + "' logged out.");
+        var logoutConfigs = utility.getAuthModuleConfigs(context)["logout"];
+        var redirectUri = utility.getPageUri(context, logoutConfigs["onSuccess"]["page"]);
+        var referer = utility.getValidReferer(context, request.getParameter("referer"));
+        if (referer) {
+            redirectUri = redirectUri + "?referer=" + encodeURIComponent(referer);
+        }
+        response.sendRedirect(redirectUri);
+    };
+
+    /**
+     * Redirects to the page configured under "authModule.logout.onFail.page".
+     * @param context {Object} request context
+     */
+    onFail = function (context) {
+        var logoutConfigs = utility.getAuthModuleConfigs(context)["logout"];
+        response.sendRedirect(utility.getPageUri(context, logoutConfigs["onFail"]["page"]));
+    };
+})();
@@ -0,0 +1,319 @@
+var mfa = function () {
+    var log = new Log("/app/modules/mfa.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+    var lockout = require("/app/modules/lockout.js").lockout;
+
+    var publicMethods = {};
+
+    var BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+    var TIME_STEP = 30;
+    var CODE_DIGITS = 6;
+
+    var getConfigs = function (context) {
+        var authModuleConfigs = utility.getAuthModuleConfigs(context);
+        return (authModuleConfigs && authModuleConfigs["mfa"]) || null;
+    };
+
+    var toJavaBytes = function (values) {
+        var bytes = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, values.length);
+        for (var i = 0; i < values.length; i++) {
+            bytes[i] = (values[i] > 127) ? (values[i] - 256) : values[i];
+        }
+        return bytes;
+    };
+
+    var base32Encode = function (bytes) {
+        var output = "", buffer = 0, bits = 0;
+        for (var i = 0; i < bytes.length; i++) {
+            buffer = (buffer << 8) | (bytes[i] & 0xff);
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET.charAt((buffer >>> (bits - 5)) & 31);
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET.charAt((buffer << (5 - bits)) & 31);
+        }
+        return output;
+    };
+
+    var base32Decode = function (value) {
+        var values = [], buffer = 0, bits = 0;
+        value = value.replace(/=+$/, "").toUpperCase();
+        for (var i = 0; i < value.length; i++) {
+            var index = BASE32_ALPHABET.indexOf(value.charAt(i));
+            if (index < 0) {
+                throw new Error("Invalid base32 character '" + value.charAt(i) + "'.");
+            }
+            buffer = (buffer << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                values.push((buffer >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return toJavaBytes(values);
+    };
+
+    /**
+     * Computes the RFC 6238 TOTP code of the given secret for the given time step counter.
+     */
+    var generateCode = function (secret, counter) {
+        var mac = javax.crypto.Mac.getInstance("HmacSHA1");
+        mac.init(new javax.crypto.spec.SecretKeySpec(base32Decode(secret), "HmacSHA1"));
+        var hash = mac.doFinal(java.nio.ByteBuffer.allocate(8).putLong(counter).array());
+        var offset = hash[hash.length - 1] & 0xf;
+        var binary = ((hash[offset] & 0x7f) << 24) | ((hash[offset + 1] & 0xff) << 16) |
+                     ((hash[offset + 2] & 0xff) << 8) | (hash[offset + 3] & 0xff);
+        var code = String(binary % Math.pow(10, CODE_DIGITS));
+        while (code.length < CODE_DIGITS) {
+            code = "0" + code;
+        }
+        return code;
+    };
+
+    /**
+     * Enrolled users are kept in "authModule.mfa.secretsFile" as {"users": {<username>:
+     * {"secret": ..., "lastUsedStep": ...}}}. Secrets are encrypted with the primary keystore of
+     * the Carbon server, and lastUsedStep is the time step of the last accepted code, so that a
+     * code cannot be used twice.
+     */
+    var readUsers = function (configs) {
+        var file = new File(configs["secretsFile"]);
+        if (!file.isExists()) {
+            return {};
+        }
+        file.open("r");
+        var users = parse(file.readAll())["users"] || {};
+        file.close();
+        return users;
+    };
+
+    var writeUsers = function (configs, users) {
+        var file = new File(configs["secretsFile"]);
+        file.open("w");
+        file.write(stringify({users: users}));
+        file.close();
+    };
+
+    /**
+     * Reads, changes and writes back the enrolled users while no other request can.
+     */
+    var updateUsers = function (configs, fn) {
+        return utility.runExclusively(configs["secretsFile"], function () {
+            var users = readUsers(configs);
+            var result = fn(users);
+            writeUsers(configs, users);
+            return result;
+        });
+    };
+
+    var encryptSecret = function (secret) {
+        return String(org.wso2.carbon.core.util.CryptoUtil.getDefaultCryptoUtil()
+                          .encryptAndBase64Encode(new java.lang.String(secret).getBytes("UTF-8")));
+    };
+
+    var decryptSecret = function (encryptedSecret) {
+        var bytes = org.wso2.carbon.core.util.CryptoUtil.getDefaultCryptoUtil()
+            .base64DecodeAndDecrypt(encryptedSecret);
+        return String(new java.lang.String(bytes, "UTF-8"));
+    };
+
+    /**
+     * @return {number} time step the code is valid for, tolerating
+     * "authModule.mfa.allowedClockSkew" time steps either way, or -1 if it is not valid
+     */
+    var getCodeStep = function (context, secret, code) {
+        if (!secret || !code || !(new RegExp("^[0-9]{" + CODE_DIGITS + "}$")).test(code)) {
+            return -1;
+        }
+        var skew = parseInt(getConfigs(context)["allowedClockSkew"] || 0);
+        var counter = Math.floor(new Date().getTime() / 1000 / TIME_STEP);
+        for (var i = -skew; i <= skew; i++) {
+            if (generateCode(secret, counter + i) == code) {
+                return counter + i;
+            }
+        }
+        return -1;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {boolean} true if "authModule.mfa" is enabled in app-conf.json
+     */
+    publicMethods.isEnabled = function (context) {
+        var configs = getConfigs(context);
+        return !!(configs && (configs["enabled"].toString() == "true"));
+    };
+
+    /**
+     * Starts the second factor step for a user who passed the password check. The user is kept
+     * in the session as pending, and is sent to the verification page, or to the enrolment page
+     * if no secret is registered for the user yet.
+     * @param context {Object} request context with the authenticated user and the login input
+     */
+    publicMethods.start = function (context) {
+        var configs = getConfigs(context);
+        session.put(constants.MFA_PENDING_SESSION_KEY, {
+            user: context.user,
+            referer: context.input && context.input.referer
+        });
+        var pageName = publicMethods.isEnrolled(context, context.user.username) ?
+                       configs["verifyPage"] : configs["enrolmentPage"];
+        response.sendRedirect(utility.getPageUri(context, pageName));
+    };
+
+    /**
+     * @return {Object} the pending login of the current session, or null
+     */
+    publicMethods.getPending = function () {
+        return session.get(constants.MFA_PENDING_SESSION_KEY) || null;
+    };
+
+    /**
+     * Finishes a pending login after the second factor is verified.
+     * @param context {Object} request context
+     */
+    publicMethods.complete = function (context) {
+        var pending = publicMethods.getPending();
+        session.remove(constants.MFA_PENDING_SESSION_KEY);
+        context.user = pending.user;
+        context.input = {username: pending.user.username, referer: pending.referer};
+        require("/app/modules/login.js").onSuccess(context);
+    };
+
+    /**
+     * Handles a code posted for the pending login, applying the same lockout rules as the
+     * sign-in form. Codes already used by the user are rejected. On a valid code, calls
+     * onVerified (if given) with the time step of the code and completes the login. If the
+     * user is locked out, the pending login is dropped and the user is sent back to sign in.
+     * @param context {Object} request context
+     * @param secret {string} base32 encoded secret to verify the code against
+     * @param onVerified {function} optional callback invoked before completing the login
+     * @return {boolean} true if a redirect was sent, false if the code was rejected
+     */
+    publicMethods.submitCode = function (context, secret, onVerified) {
+        var authModuleConfigs = utility.getAuthModuleConfigs(context);
+        var pending = publicMethods.getPending();
+        var username = pending.user.username;
+        var ipAddress = request.getRemoteAddr();
+
+        var remainingLockoutTime = lockout.getRemainingLockoutTime(authModuleConfigs, username,
+                                                                   ipAddress);
+        if (remainingLockoutTime > 0) {
+            session.remove(constants.MFA_PENDING_SESSION_KEY);
+            context.input = {username: username, referer: pending.referer};
+            context.locked = true;
+            context.message = lockout.getMessage(context, remainingLockoutTime);
+            require("/app/modules/login.js").onFail(context);
+            return true;
+        }
+
+        var configs = getConfigs(context);
+        var step = getCodeStep(context, secret, request.getParameter("code"));
+        // Step is claimed under the lock, so the same code cannot pass two concurrent requests.
+        var isAccepted = (step >= 0) && updateUsers(configs, function (users) {
+            var user = users[username];
+            if (user && (user.lastUsedStep >= step)) {
+                return false;
+            }
+            if (user) {
+                user.lastUsedStep = step;
+            }
+            return true;
+        });
+        if (!isAccepted) {
+            lockout.recordFailure(authModuleConfigs, username, ipAddress);
+            log.warn("Invalid or reused verification code entered by user '" + username + "'.");
+            return false;
+        }
+        // Lockout counter is only cleared once both factors have passed.
+        lockout.recordSuccess(username);
+        if (onVerified) {
+            onVerified(step);
+        }
+        publicMethods.complete(context);
+        return true;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param username {string} username
+     * @return {boolean} true if a TOTP secret is registered for the user
+     */
+    publicMethods.isEnrolled = function (context, username) {
+        return !!readUsers(getConfigs(context))[username];
+    };
+
+    /**
+     * Registers the TOTP secret of a user.
+     * @param context {Object} request context
+     * @param username {string} username
+     * @param secret {string} base32 encoded secret
+     * @param usedStep {number} time step of the code the user enrolled with, which cannot be
+     * used again
+     */
+    publicMethods.enrol = function (context, username, secret, usedStep) {
+        var encryptedSecret = encryptSecret(secret);
+        updateUsers(getConfigs(context), function (users) {
+            users[username] = {secret: encryptedSecret, lastUsedStep: usedStep || 0};
+        });
+        log.info("User '" + username + "' enrolled for multi-factor authentication.");
+    };
+
+    /**
+     * @return {string} a new random base32 encoded 160 bit secret
+     */
+    publicMethods.createSecret = function () {
+        var bytes = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 20);
+        new java.security.SecureRandom().nextBytes(bytes);
+        return base32Encode(bytes);
+    };
+
+    /**
+     * Builds the "otpauth://" URI which authenticator apps read from the enrolment QR code.
+     * @param context {Object} request context
+     * @param username {string} username
+     * @param secret {string} base32 encoded secret
+     * @return {string} key URI
+     */
+    publicMethods.getKeyUri = function (context, username, secret) {
+        var issuer = getConfigs(context)["issuer"] || context.app.conf["appName"];
+        return "otpauth://totp/" + encodeURIComponent(issuer) + ":" + encodeURIComponent(username) +
+               "?secret=" + secret + "&issuer=" + encodeURIComponent(issuer) +
+               "&digits=" + CODE_DIGITS + "&period=" + TIME_STEP;
+    };
+
+    /**
+     * Checks a TOTP code, tolerating "authModule.mfa.allowedClockSkew" time steps either way.
+     * @param context {Object} request context
+     * @param secret {string} base32 encoded secret
+     * @param code {string} code entered by the user
+     * @return {boolean} true if the code is valid
+     */
+    publicMethods.verifyCode = function (context, secret, code) {
+        return getCodeStep(context, secret, code) >= 0;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param username {string} username
+     * @return {string} the registered TOTP secret of the user, or null
+     */
+    publicMethods.getSecret = function (context, username) {
+        var user = readUsers(getConfigs(context))[username];
+        if (!user) {
+            return null;
+        }
+        try {
+            return decryptSecret(user.secret);
+        } catch (e) {
+            log.error("Cannot decrypt the TOTP secret of user '" + username + "'.", e);
+            return null;
+        }
+    };
+
+    return publicMethods;
+}();
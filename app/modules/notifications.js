@@ -0,0 +1,386 @@
+var notifications = function () {
+    var log = new Log("/app/modules/notifications.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+
+    var publicMethods = {};
+    var stores = {};
+
+    var defaults = {
+        store: "file",
+        file: "/app/data/notifications.json",
+        maxPerUser: 100,
+        paneSize: 10,
+        pollInterval: 30
+    };
+
+    var pushDefaults = {
+        enabled: true,
+        holdTime: 25,
+        maxStreams: 50,
+        webSocket: true,
+        reconnectDelay: 1,
+        maxReconnectDelay: 60,
+        toast: true
+    };
+
+    var TYPES = ["success", "info", "warning", "danger"];
+
+    var merge = function (defaultValues, configs) {
+        var merged = {};
+        for (var key in defaultValues) {
+            if (defaultValues.hasOwnProperty(key)) {
+                merged[key] = (configs[key] == undefined) ? defaultValues[key] : configs[key];
+            }
+        }
+        return merged;
+    };
+
+    /**
+     * Returns the "notifications" configurations in app-conf.json merged over the defaults,
+     * including the "push" block.
+     * @param context {Object} request context
+     * @return {Object} notifications configurations
+     */
+    var getConfigs = function (context) {
+        var configs = context.app.conf["notifications"] || {};
+        var merged = merge(defaults, configs);
+        merged.push = merge(pushDefaults, configs["push"] || {});
+        return merged;
+    };
+
+    /**
+     * Notification store backed by a JSON file, holding the notifications of each user under
+     * "username@domain", and the last sequence number under "sequence".
+     */
+    stores["file"] = function (configs) {
+        var read = function () {
+            var file = new File(configs["file"]);
+            if (!file.isExists()) {
+                return {users: {}, sequence: 0};
+            }
+            file.open("r");
+            var content = parse(file.readAll() || "{}");
+            file.close();
+            return {users: content["users"] || {}, sequence: content["sequence"] || 0};
+        };
+        var write = function (content) {
+            var file = new File(configs["file"]);
+            file.open("w");
+            file.write(stringify(content));
+            file.close();
+        };
+        return {
+            get: function (userKey) {
+                return read()["users"][userKey] || [];
+            },
+            put: function (userKey, items) {
+                var content = read();
+                content["users"][userKey] = items;
+                write(content);
+            },
+            nextSequence: function () {
+                var content = read();
+                content["sequence"]++;
+                write(content);
+                return content["sequence"];
+            }
+        };
+    };
+
+    var getStore = function (configs) {
+        var factory = stores[configs["store"]];
+        if (!factory) {
+            throw new Error("Unknown notification store type '" + configs["store"] + "'.");
+        }
+        return factory(configs);
+    };
+
+    var toUserKey = function (user) {
+        return user.username + "@" + (user.domain || "carbon.super");
+    };
+
+    var getCurrentUserKey = function (context) {
+        var user = session.get(constants.USER_SESSION_KEY) || context.user;
+        if (!user) {
+            throw new Error("Notifications are only available to signed in users.");
+        }
+        return toUserKey(user);
+    };
+
+    /**
+     * Applies a change to the notifications of a user, and saves them unless the change returns
+     * false. Changes run one at a time, so that concurrent requests do not lose each other's
+     * updates of the store. The change also receives the store, to take sequence numbers from.
+     */
+    var update = function (configs, userKey, change) {
+        var store = getStore(configs);
+        utility.runExclusively("notifications", function () {
+            var items = store.get(userKey);
+            if (change(items, store) !== false) {
+                store.put(userKey, items);
+            }
+        });
+    };
+
+    var countUnread = function (items) {
+        var unreadCount = 0;
+        for (var i = 0; i < items.length; i++) {
+            if (!items[i].read) {
+                unreadCount++;
+            }
+        }
+        return unreadCount;
+    };
+
+    /**
+     * Returns the set of the open WebSockets of a user on this server.
+     */
+    var getSockets = function (userKey) {
+        var sockets = utility.getApplicationObject(constants.NOTIFICATION_SOCKETS_APP_KEY,
+                                                   function () {
+            return new java.util.concurrent.ConcurrentHashMap();
+        });
+        sockets.putIfAbsent(userKey, new java.util.concurrent.CopyOnWriteArraySet());
+        return sockets.get(userKey);
+    };
+
+    /**
+     * Sends a notification to a WebSocket in the format of the data of the stream's events.
+     * Sockets that cannot be written to any more are dropped from the set they are in.
+     */
+    var sendToSocket = function (sockets, socket, notification, unreadCount) {
+        try {
+            socket.send(stringify({notification: notification, unreadCount: unreadCount}));
+        } catch (e) {
+            log.debug("Dropped a notification WebSocket that cannot be written to. " + e);
+            sockets.remove(socket);
+        }
+    };
+
+    var updateCurrentUser = function (context, change) {
+        update(getConfigs(context), getCurrentUserKey(context), change);
+    };
+
+    /**
+     * Registers a notification store implementation. A notification store factory receives the
+     * "notifications" configuration block and returns an object with a get(userKey) function,
+     * which returns the notifications of a user, newest first, a put(userKey, notifications)
+     * function, and a nextSequence() function, which returns a number greater than any it has
+     * returned before, for all users together. They are only called while holding a lock, so a
+     * store need not synchronize them itself.
+     * @param type {string} store type, as used in "notifications.store"
+     * @param factory {function} notification store factory
+     */
+    publicMethods.register = function (type, factory) {
+        stores[type] = factory;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {Object} "notifications" configurations merged over the defaults
+     */
+    publicMethods.getConfigs = getConfigs;
+
+    /**
+     * Adds a notification for a user, and sends it to the open WebSockets of the user. Only the
+     * newest "notifications.maxPerUser" notifications of a user are kept. Each notification gets
+     * a "sequence" number, greater than those of all notifications added before it.
+     * @param context {Object} request context
+     * @param user {Object} user to notify, with "username" and "domain"
+     * @param notification {Object} "type" (success, info, warning or danger), "title" and
+     * "message"
+     * @return {Object} the stored notification
+     */
+    publicMethods.add = function (context, user, notification) {
+        var configs = getConfigs(context);
+        var userKey = toUserKey(user);
+        var item = {
+            id: String(java.util.UUID.randomUUID().toString()),
+            type: (TYPES.indexOf(notification.type) >= 0) ? notification.type : "info",
+            title: String(notification.title || ""),
+            message: String(notification.message || ""),
+            createdTime: new Date().getTime(),
+            read: false
+        };
+        var unreadCount = 0;
+        update(configs, userKey, function (items, store) {
+            item.sequence = store.nextSequence();
+            items.unshift(item);
+            items.splice(parseInt(configs["maxPerUser"]), items.length);
+            unreadCount = countUnread(items);
+        });
+        utility.sendSignal("notifications:" + userKey);
+        var sockets = getSockets(userKey);
+        var openSockets = sockets.toArray();
+        for (var i = 0; i < openSockets.length; i++) {
+            sendToSocket(sockets, openSockets[i], item, unreadCount);
+        }
+        log.debug("Added notification '" + item.id + "' for user '" + userKey + "'.");
+        return item;
+    };
+
+    /**
+     * Lists the notifications of the current user, newest first.
+     * @param context {Object} request context
+     * @param limit {number} maximum number of notifications to return, or null for all
+     * @return {Object} "unreadCount" and "notifications"
+     */
+    publicMethods.list = function (context, limit) {
+        var store = getStore(getConfigs(context));
+        var userKey = getCurrentUserKey(context);
+        // Reads take the lock too, so that they never see a store half way through an update.
+        var items = utility.runExclusively("notifications", function () {
+            return store.get(userKey);
+        });
+        return {
+            unreadCount: countUnread(items),
+            notifications: limit ? items.slice(0, limit) : items
+        };
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {number} sequence number of the newest notification of the current user, or 0
+     */
+    publicMethods.getLastSequence = function (context) {
+        var newest = publicMethods.list(context, 1).notifications[0];
+        return (newest && newest.sequence) || 0;
+    };
+
+    /**
+     * Lists the notifications of the current user added after a given one, oldest first, which
+     * is the order to push them to the browser in.
+     * @param context {Object} request context
+     * @param since {number} sequence number of the last notification the browser has
+     * @return {Object} "unreadCount" and "notifications"
+     */
+    publicMethods.listSince = function (context, since) {
+        var all = publicMethods.list(context, null);
+        var newer = [];
+        for (var i = 0; i < all.notifications.length; i++) {
+            if ((all.notifications[i].sequence || 0) > since) {
+                newer.unshift(all.notifications[i]);
+            }
+        }
+        return {
+            unreadCount: all.unreadCount,
+            notifications: newer
+        };
+    };
+
+    /**
+     * Waits until the current user has notifications added after a given one, and lists them as
+     * listSince does. The wait ends as soon as add is called for the user. Each wait holds a
+     * request thread, so at most "notifications.push.maxStreams" of them run at once on a server.
+     * @param context {Object} request context
+     * @param since {number} sequence number of the last notification the browser has
+     * @param timeout {number} maximum time to wait in milliseconds
+     * @return {Object} "unreadCount" and "notifications", which are empty if the time ran out,
+     * or null if too many waits are running already
+     */
+    publicMethods.waitSince = function (context, since, timeout) {
+        var userKey = getCurrentUserKey(context);
+        var waiting = utility.getApplicationObject(constants.NOTIFICATION_STREAMS_APP_KEY,
+                                                   function () {
+            return new java.util.concurrent.atomic.AtomicInteger();
+        });
+        var maxStreams = parseInt(getConfigs(context)["push"]["maxStreams"]);
+        if (waiting.incrementAndGet() > maxStreams) {
+            waiting.decrementAndGet();
+            log.debug("Turned away a notification stream, as " + maxStreams + " are open.");
+            return null;
+        }
+        try {
+            var result = null;
+            utility.waitForSignal("notifications:" + userKey, function () {
+                result = publicMethods.listSince(context, since);
+                return result.notifications.length > 0;
+            }, timeout);
+            return result;
+        } finally {
+            waiting.decrementAndGet();
+        }
+    };
+
+    /**
+     * Sends the notifications of the current user added after a given one to a WebSocket, and
+     * keeps the socket to send it those added later on. No request thread waits in the meantime.
+     * The socket is forgotten when it closes.
+     * @param context {Object} request context of the WebSocket handshake
+     * @param socket {Object} Jaggery WebSocket
+     * @param since {number} sequence number of the last notification the browser has
+     */
+    publicMethods.openSocket = function (context, socket, since) {
+        var sockets = getSockets(getCurrentUserKey(context));
+        socket.ontext = function () {
+            // Browsers have nothing to say over this socket.
+        };
+        socket.onclose = function () {
+            sockets.remove(socket);
+        };
+        // Kept before listing, so that notifications added in between are not missed. Browsers
+        // skip those they receive twice.
+        sockets.add(socket);
+        var result = publicMethods.listSince(context, since);
+        for (var i = 0; i < result.notifications.length; i++) {
+            sendToSocket(sockets, socket, result.notifications[i], result.unreadCount);
+        }
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param id {string} ID of a notification of the current user
+     * @return {boolean} true if the notification exists
+     */
+    publicMethods.markRead = function (context, id) {
+        var found = false;
+        updateCurrentUser(context, function (items) {
+            for (var i = 0; i < items.length; i++) {
+                if (items[i].id == id) {
+                    found = true;
+                    if (items[i].read) {
+                        return false;
+                    }
+                    items[i].read = true;
+                    return true;
+                }
+            }
+            return false;
+        });
+        return found;
+    };
+
+    /**
+     * @param context {Object} request context
+     */
+    publicMethods.markAllRead = function (context) {
+        updateCurrentUser(context, function (items) {
+            for (var i = 0; i < items.length; i++) {
+                items[i].read = true;
+            }
+        });
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param id {string} ID of a notification of the current user
+     * @return {boolean} true if the notification existed
+     */
+    publicMethods.remove = function (context, id) {
+        var found = false;
+        updateCurrentUser(context, function (items) {
+            for (var i = 0; i < items.length; i++) {
+                if (items[i].id == id) {
+                    items.splice(i, 1);
+                    found = true;
+                    return true;
+                }
+            }
+            return false;
+        });
+        return found;
+    };
+
+    return publicMethods;
+}();
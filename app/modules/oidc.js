@@ -0,0 +1,240 @@
+var oidc = function () {
+    var log = new Log("/app/modules/oidc.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+
+    var publicMethods = {};
+
+    var Base64 = org.apache.commons.codec.binary.Base64;
+
+    var getConfigs = function (context) {
+        var authModuleConfigs = utility.getAuthModuleConfigs(context);
+        return (authModuleConfigs && authModuleConfigs["oidc"]) || null;
+    };
+
+    var randomString = function () {
+        var bytes = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 32);
+        new java.security.SecureRandom().nextBytes(bytes);
+        return String(Base64.encodeBase64URLSafeString(bytes));
+    };
+
+    var base64UrlDecode = function (value) {
+        return Base64.decodeBase64(new java.lang.String(value).getBytes("UTF-8"));
+    };
+
+    var base64UrlDecodeToString = function (value) {
+        return String(new java.lang.String(base64UrlDecode(value), "UTF-8"));
+    };
+
+    /**
+     * PKCE code challenge of a code verifier, using the S256 method.
+     */
+    var getCodeChallenge = function (codeVerifier) {
+        var digest = java.security.MessageDigest.getInstance("SHA-256")
+            .digest(new java.lang.String(codeVerifier).getBytes("US-ASCII"));
+        return String(Base64.encodeBase64URLSafeString(digest));
+    };
+
+    var getRedirectUri = function (context) {
+        var requestUrl = String(request.getRequestURL());
+        var origin = requestUrl.substring(0, requestUrl.indexOf("/", requestUrl.indexOf("//") + 2));
+        return origin + utility.getPageUri(context, getConfigs(context)["callbackPage"]);
+    };
+
+    var readJwks = function (configs) {
+        var file = new File(configs["jwksFile"]);
+        if (!file.isExists()) {
+            throw new Error("JWKS file '" + configs["jwksFile"] + "' does not exist.");
+        }
+        file.open("r");
+        var keys = parse(file.readAll())["keys"] || [];
+        file.close();
+        return keys;
+    };
+
+    var getPublicKey = function (configs, keyId) {
+        var keys = readJwks(configs);
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+            if ((key["kty"] == "RSA") && (!keyId || (key["kid"] == keyId))) {
+                var spec = new java.security.spec.RSAPublicKeySpec(
+                    new java.math.BigInteger(1, base64UrlDecode(key["n"])),
+                    new java.math.BigInteger(1, base64UrlDecode(key["e"])));
+                return java.security.KeyFactory.getInstance("RSA").generatePublic(spec);
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Validates an ID token: RS256 signature against the configured JWKS file, issuer, audience,
+     * expiry and nonce.
+     * @return {Object} claims of the token, or null if the token is invalid
+     */
+    var validateIdToken = function (configs, idToken, nonce) {
+        var parts = String(idToken).split(".");
+        if (parts.length != 3) {
+            log.warn("Rejected malformed ID token.");
+            return null;
+        }
+        var header = parse(base64UrlDecodeToString(parts[0]));
+        if (header["alg"] != "RS256") {
+            log.warn("Rejected ID token signed with unsupported algorithm '" + header["alg"] +
+                     "'.");
+            return null;
+        }
+        var publicKey = getPublicKey(configs, header["kid"]);
+        if (!publicKey) {
+            log.warn("Rejected ID token signed with unknown key '" + header["kid"] + "'.");
+            return null;
+        }
+        var verifier = java.security.Signature.getInstance("SHA256withRSA");
+        verifier.initVerify(publicKey);
+        verifier.update(new java.lang.String(parts[0] + "." + parts[1]).getBytes("US-ASCII"));
+        if (!verifier.verify(base64UrlDecode(parts[2]))) {
+            log.warn("Rejected ID token with an invalid signature.");
+            return null;
+        }
+
+        var claims = parse(base64UrlDecodeToString(parts[1]));
+        var now = Math.floor(new Date().getTime() / 1000);
+        var skew = parseInt(configs["allowedClockSkew"] || 0);
+        var audience = [].concat(claims["aud"]);
+        var problem = null;
+        if (claims["iss"] != configs["issuer"]) {
+            problem = "issuer '" + claims["iss"] + "'";
+        } else if (audience.indexOf(configs["clientId"]) < 0) {
+            problem = "audience '" + audience.join(", ") + "'";
+        } else if ((audience.length > 1) && (claims["azp"] != configs["clientId"])) {
+            problem = "authorized party '" + claims["azp"] + "'";
+        } else if (!claims["exp"] || ((claims["exp"] + skew) < now)) {
+            problem = "expiry";
+        } else if (claims["iat"] && ((claims["iat"] - skew) > now)) {
+            problem = "issue time";
+        } else if (claims["nonce"] != nonce) {
+            problem = "nonce";
+        }
+        if (problem) {
+            log.warn("Rejected ID token with an invalid " + problem + ".");
+            return null;
+        }
+        return claims;
+    };
+
+    /**
+     * Maps ID token claims onto the user, as configured in "authModule.oidc.userClaims", e.g.
+     * {"username": "preferred_username", "email": "email"}. The username falls back to "sub".
+     */
+    var toUser = function (configs, claims) {
+        var mappings = configs["userClaims"] || {};
+        var user = {
+            username: claims["sub"],
+            domain: "carbon.super",
+            tenantId: -1234,
+            authenticator: constants.AUTHENTICATOR_OIDC
+        };
+        for (var property in mappings) {
+            if (mappings.hasOwnProperty(property) && (claims[mappings[property]] != undefined)) {
+                user[property] = claims[mappings[property]];
+            }
+        }
+        user.claims = claims;
+        return user;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {boolean} true if "authModule.oidc" is enabled in app-conf.json
+     */
+    publicMethods.isEnabled = function (context) {
+        var configs = getConfigs(context);
+        return !!(configs && (configs["enabled"].toString() == "true"));
+    };
+
+    /**
+     * Redirects to the authorization endpoint to start the authorization code flow with PKCE.
+     * @param context {Object} request context
+     * @param referer {string} validated referer to return to after logging in
+     */
+    publicMethods.startAuthentication = function (context, referer) {
+        var configs = getConfigs(context);
+        var state = randomString();
+        var nonce = randomString();
+        var codeVerifier = randomString();
+        var codeChallenge = getCodeChallenge(codeVerifier);
+        session.put(constants.OIDC_SESSION_KEY, {
+            state: state,
+            nonce: nonce,
+            codeVerifier: codeVerifier,
+            referer: referer
+        });
+        var endpoint = configs["authorizationEndpoint"];
+        response.sendRedirect(endpoint + ((endpoint.indexOf("?") < 0) ? "?" : "&") +
+                              "response_type=code" +
+                              "&client_id=" + encodeURIComponent(configs["clientId"]) +
+                              "&redirect_uri=" + encodeURIComponent(getRedirectUri(context)) +
+                              "&scope=" + encodeURIComponent(configs["scopes"] || "openid") +
+                              "&state=" + encodeURIComponent(state) +
+                              "&nonce=" + encodeURIComponent(nonce) +
+                              "&code_challenge=" + encodeURIComponent(codeChallenge) +
+                              "&code_challenge_method=S256");
+    };
+
+    /**
+     * Handles the callback from the authorization endpoint: checks the state, exchanges the code
+     * for tokens and validates the ID token.
+     * @param context {Object} request context
+     * @return {Object} the user and the referer of the login, or null if it failed
+     */
+    publicMethods.handleCallback = function (context) {
+        var configs = getConfigs(context);
+        var pending = session.get(constants.OIDC_SESSION_KEY);
+        session.remove(constants.OIDC_SESSION_KEY);
+
+        var state = request.getParameter("state");
+        if (!pending || !state || (state != pending.state)) {
+            log.warn("Rejected OpenID Connect callback with an unknown state.");
+            return null;
+        }
+        if (request.getParameter("error")) {
+            log.warn("OpenID Connect provider returned error '" + request.getParameter("error") +
+                     "'. " + (request.getParameter("error_description") || ""));
+            return null;
+        }
+
+        var result;
+        try {
+            var credentials = Base64.encodeBase64String(new java.lang.String(
+                encodeURIComponent(configs["clientId"]) + ":" +
+                encodeURIComponent(configs["clientSecret"] || "")).getBytes("UTF-8"));
+            result = post(configs["tokenEndpoint"], {
+                grant_type: "authorization_code",
+                code: request.getParameter("code"),
+                redirect_uri: getRedirectUri(context),
+                code_verifier: pending.codeVerifier
+            }, {
+                "Authorization": "Basic " + credentials,
+                "Accept": "application/json"
+            }, "json");
+        } catch (e) {
+            log.error("Cannot exchange OpenID Connect authorization code.", e);
+            return null;
+        }
+        var idToken = result && result.data && result.data["id_token"];
+        if (!idToken) {
+            log.warn("OpenID Connect token response has no ID token.");
+            return null;
+        }
+
+        var claims = validateIdToken(configs, idToken, pending.nonce);
+        if (!claims) {
+            return null;
+        }
+        return {
+            user: toUser(configs, claims),
+            referer: pending.referer
+        };
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,167 @@
+var permissions = function () {
+    var log = new Log("/app/modules/permissions.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+    var userStore = require("/app/modules/user-store.js").userStore;
+
+    var publicMethods = {};
+
+    /**
+     * Resolves a permission declared in a descriptor against "permissionRoot" of app-conf.json.
+     * @param context {Object} request context
+     * @param permission {string} permission path, e.g. "/permission/admin/login"
+     * @return {string} absolute permission path
+     */
+    var resolve = function (context, permission) {
+        var root = context.app.conf["permissionRoot"] || "/";
+        return (root + "/" + permission).replace(/\/{2,}/g, "/").replace(/(.)\/$/, "$1");
+    };
+
+    /**
+     * Reads the "permissions" declared in the JSON descriptor of a unit or a page.
+     * @param componentName {string} fully qualified unit or page name
+     * @return {Array} declared permissions
+     */
+    var getDeclaredPermissions = function (componentName) {
+        var parts = componentName.split(".");
+        var directory = (parts[1] == "unit") ? "/app/units/" : "/app/pages/";
+        var descriptorPath = directory + componentName + "/" + parts[parts.length - 1] + ".json";
+        if (!new File(descriptorPath).isExists()) {
+            log.warn("Cannot find descriptor of '" + componentName + "' to read permissions.");
+            return [];
+        }
+        return require(descriptorPath)["permissions"] || [];
+    };
+
+    /**
+     * Finds the page serving the current request by matching its path against the "uri" of the
+     * page descriptors. Variables of URI templates match any value, and exact URIs win over them.
+     * @param context {Object} request context
+     * @return {string} fully qualified page name, or null if no page matches
+     */
+    var getCurrentPageName = function (context) {
+        var path = String(request.getRequestURI()).substring(context.app.context.length) || "/";
+        var pages = new File("/app/pages").listFiles();
+        var templateMatch = null;
+        for (var i = 0; i < pages.length; i++) {
+            var pageName = String(pages[i].getName());
+            var descriptorPath = "/app/pages/" + pageName + "/" +
+                                 pageName.substring(constants.PAGE_PREFIX.length) + ".json";
+            if (!new File(descriptorPath).isExists()) {
+                continue;
+            }
+            var uri = require(descriptorPath)["uri"] || "";
+            if (uri == path) {
+                return pageName;
+            }
+            // Variables are swapped for control characters while the rest is escaped.
+            var pattern = uri.replace(/\{\+[^}]*\}/g, "\u0001").replace(/\{[^}]*\}/g, "\u0002")
+                .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+                .replace(/\u0001/g, ".+").replace(/\u0002/g, "[^/]+");
+            if (!templateMatch && new RegExp("^" + pattern + "$").test(path)) {
+                templateMatch = pageName;
+            }
+        }
+        return templateMatch;
+    };
+
+    /**
+     * Checks whether the current user has a permission. Results are cached in the session, so
+     * changes to the permissions of a user take effect from the next sign in.
+     * @param context {Object} request context
+     * @param permission {string} permission path relative to "permissionRoot"
+     * @return {boolean} true if the user has the permission
+     */
+    publicMethods.hasPermission = function (context, permission) {
+        var user = session.get(constants.USER_SESSION_KEY) || context.user;
+        if (!user) {
+            return false;
+        }
+        var resolved = resolve(context, permission);
+        var cache = session.get(constants.PERMISSIONS_SESSION_KEY) || {};
+        if (cache[resolved] == undefined) {
+            try {
+                var authModuleConfigs = utility.getAuthModuleConfigs(context) || {};
+                var store = userStore.getForUser(authModuleConfigs, user);
+                cache[resolved] = !!store.isAuthorized(user, resolved);
+            } catch (e) {
+                log.error("Cannot check permission '" + resolved + "' of user '" + user.username +
+                          "'.", e);
+                return false;
+            }
+            session.put(constants.PERMISSIONS_SESSION_KEY, cache);
+        }
+        return cache[resolved];
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param required {Array} permission paths relative to "permissionRoot"
+     * @return {boolean} true if the user has every one of the permissions
+     */
+    publicMethods.hasAllPermissions = function (context, required) {
+        for (var i = 0; i < required.length; i++) {
+            if (!publicMethods.hasPermission(context, required[i])) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Checks the "permissions" declared in the JSON descriptor of a unit or a page.
+     * @param context {Object} request context
+     * @param componentName {string} fully qualified unit or page name, e.g. "uuf.unit.navbar"
+     * @return {boolean} true if the current user has all the declared permissions
+     */
+    publicMethods.isPermitted = function (context, componentName) {
+        return publicMethods.hasAllPermissions(context, getDeclaredPermissions(componentName));
+    };
+
+    /**
+     * Rejects the current request with HTTP 403 if the user lacks any of the permissions
+     * declared in the JSON descriptor of the page. uuf.unit.permissions does this for every page
+     * that renders, so only pages that change data or write their own response in onRequest need
+     * to call this, at the beginning of their onRequest.
+     * @param context {Object} request context
+     * @param pageName {string} fully qualified page name
+     */
+    publicMethods.enforce = function (context, pageName) {
+        if (!publicMethods.isPermitted(context, pageName)) {
+            log.warn("User '" + (context.user && context.user.username) + "' is not permitted " +
+                     "to access page '" + pageName + "'.");
+            response.sendError(403, "You do not have permission to access this page.");
+            exit();
+        }
+    };
+
+    /**
+     * Enforces the declared permissions of the page serving the current request.
+     * @param context {Object} request context
+     */
+    publicMethods.enforceCurrentPage = function (context) {
+        var pageName = getCurrentPageName(context);
+        if (pageName) {
+            publicMethods.enforce(context, pageName);
+        }
+    };
+
+    /**
+     * Filters menu items by their "permissions" property, which works like the one in
+     * descriptors. Items without permissions are always kept.
+     * @param context {Object} request context
+     * @param items {Array} menu items
+     * @return {Array} menu items the current user is permitted to see
+     */
+    publicMethods.filter = function (context, items) {
+        var permitted = [];
+        for (var i = 0; i < items.length; i++) {
+            if (publicMethods.hasAllPermissions(context, items[i]["permissions"] || [])) {
+                permitted.push(items[i]);
+            }
+        }
+        return permitted;
+    };
+
+    return publicMethods;
+}();
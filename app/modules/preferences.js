@@ -0,0 +1,97 @@
+var preferences = function () {
+    var log = new Log("/app/modules/preferences.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+
+    var publicMethods = {};
+
+    var getFilePath = function (context) {
+        var configs = context.app.conf["preferences"] || {};
+        return configs["file"] || "/app/data/user-preferences.json";
+    };
+
+    var getUserKey = function (context) {
+        var user = session.get(constants.USER_SESSION_KEY) || context.user;
+        return user ? (user.username + "@" + (user.domain || "carbon.super")) : null;
+    };
+
+    var readAll = function (filePath) {
+        var file = new File(filePath);
+        if (!file.isExists()) {
+            return {};
+        }
+        file.open("r");
+        var content = parse(file.readAll() || "{}");
+        file.close();
+        return content["users"] || {};
+    };
+
+    var writeAll = function (filePath, users) {
+        var file = new File(filePath);
+        file.open("w");
+        file.write(stringify({users: users}));
+        file.close();
+    };
+
+    /**
+     * Preferences of the current user, cached in the session. Preferences of anonymous users
+     * live in the session only.
+     */
+    var getAll = function (context) {
+        var cached = session.get(constants.PREFERENCES_SESSION_KEY);
+        if (cached && (cached.userKey == getUserKey(context))) {
+            return cached.values;
+        }
+        var userKey = getUserKey(context);
+        var values = {};
+        if (userKey) {
+            try {
+                values = readAll(getFilePath(context))[userKey] || {};
+            } catch (e) {
+                log.error("Cannot read preferences of user '" + userKey + "'.", e);
+            }
+        }
+        session.put(constants.PREFERENCES_SESSION_KEY, {userKey: userKey, values: values});
+        return values;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @param name {string} preference name
+     * @return {*} value of the preference for the current user, or null if not set
+     */
+    publicMethods.get = function (context, name) {
+        var value = getAll(context)[name];
+        return (value == undefined) ? null : value;
+    };
+
+    /**
+     * Saves a preference of the current user in "preferences.file" of app-conf.json, so that it
+     * applies to later sessions as well. A null value removes the preference.
+     * @param context {Object} request context
+     * @param name {string} preference name
+     * @param value {*} JSON value of the preference
+     */
+    publicMethods.set = function (context, name, value) {
+        var values = getAll(context);
+        if (value == null) {
+            delete values[name];
+        } else {
+            values[name] = value;
+        }
+        var userKey = getUserKey(context);
+        session.put(constants.PREFERENCES_SESSION_KEY, {userKey: userKey, values: values});
+        if (!userKey) {
+            return;
+        }
+        var filePath = getFilePath(context);
+        // The file is shared by all users, so it is read and rewritten under a lock.
+        utility.runExclusively(filePath, function () {
+            var users = readAll(filePath);
+            users[userKey] = values;
+            writeAll(filePath, users);
+        });
+    };
+
+    return publicMethods;
+}();
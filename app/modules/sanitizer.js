@@ -0,0 +1,150 @@
+var sanitizer = function () {
+    var publicMethods = {};
+
+    /**
+     * Tags allowed by sanitize, with the attributes allowed on each.
+     */
+    var ALLOWED_TAGS = {
+        "a": ["href", "title"],
+        "b": [], "strong": [], "i": [], "em": [], "u": [], "small": [], "code": [], "pre": [],
+        "p": [], "br": [], "span": [], "ul": [], "ol": [], "li": []
+    };
+    var VOID_TAGS = {"br": true};
+    var URL_ATTRIBUTES = {"href": true};
+
+    var TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^<>]*?)?)\s*(\/?)>/g;
+    var ATTRIBUTE_PATTERN = /([a-zA-Z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+
+    /**
+     * Escapes a value for use as HTML text or as a quoted attribute value.
+     * @param value {string} value to escape
+     * @return {string} escaped value
+     */
+    publicMethods.escape = function (value) {
+        if (value == null) {
+            return "";
+        }
+        return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;").replace(/'/g, "&#39;").replace(/`/g, "&#96;");
+    };
+
+    /**
+     * Only relative URLs and http, https and mailto URLs are allowed. Entities are not decoded
+     * here, which is safe because attribute values are escaped on output.
+     */
+    var isSafeUrl = function (url) {
+        var normalized = url.replace(/[\x00-\x20\x7f]+/g, "").toLowerCase();
+        var colon = normalized.indexOf(":");
+        if (colon < 0) {
+            return true;
+        }
+        var delimiter = normalized.search(/[\/?#]/);
+        if ((delimiter >= 0) && (delimiter < colon)) {
+            // Colon is not part of a scheme, e.g. "/path?time=10:00".
+            return true;
+        }
+        return /^(https?|mailto):/.test(normalized);
+    };
+
+    var buildTag = function (name, attributeText) {
+        var allowedAttributes = ALLOWED_TAGS[name];
+        var tag = "<" + name;
+        var match;
+        ATTRIBUTE_PATTERN.lastIndex = 0;
+        while ((match = ATTRIBUTE_PATTERN.exec(attributeText)) != null) {
+            var attribute = match[1].toLowerCase();
+            var value = (match[2] != undefined) ? match[2] :
+                        ((match[3] != undefined) ? match[3] : match[4]);
+            if ((allowedAttributes.indexOf(attribute) < 0) ||
+                (URL_ATTRIBUTES[attribute] && !isSafeUrl(value))) {
+                continue;
+            }
+            tag += " " + attribute + "=\"" + publicMethods.escape(value) + "\"";
+        }
+        if (name == "a") {
+            tag += " rel=\"noopener noreferrer\"";
+        }
+        return tag + ">";
+    };
+
+    /**
+     * Sanitizes HTML against a whitelist of formatting tags. Tags that are not allowed are
+     * escaped so that they show up as text, disallowed attributes and unsafe URLs are dropped,
+     * comments are removed, and unclosed tags are closed at the end.
+     * @param html {string} untrusted HTML
+     * @return {string} safe HTML
+     */
+    publicMethods.sanitize = function (html) {
+        if (html == null) {
+            return "";
+        }
+        html = String(html);
+        var output = "";
+        var openTags = [];
+        var lastIndex = 0;
+        var match;
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(html)) != null) {
+            output += publicMethods.escape(html.substring(lastIndex, match.index));
+            lastIndex = TAG_PATTERN.lastIndex;
+            if (match[0].indexOf("<!--") == 0) {
+                continue;
+            }
+            var isClosing = (match[1] == "/");
+            var name = match[2].toLowerCase();
+            if (!ALLOWED_TAGS.hasOwnProperty(name)) {
+                output += publicMethods.escape(match[0]);
+            } else if (VOID_TAGS[name]) {
+                output += isClosing ? "" : "<" + name + ">";
+            } else if (!isClosing) {
+                output += buildTag(name, match[3]);
+                openTags.push(name);
+            } else if (openTags.lastIndexOf(name) >= 0) {
+                // Close the tag, along with any tags left open inside it.
+                while (openTags.length > 0) {
+                    var openTag = openTags.pop();
+                    output += "</" + openTag + ">";
+                    if (openTag == name) {
+                        break;
+                    }
+                }
+            }
+        }
+        output += publicMethods.escape(html.substring(lastIndex));
+        while (openTags.length > 0) {
+            output += "</" + openTags.pop() + ">";
+        }
+        return output;
+    };
+
+    /**
+     * Prepares a message parameter of a unit or a page. Messages are escaped by default, and
+     * callers who need markup opt in with allowHtml, in which case the message is sanitized.
+     * @param message {string} message parameter
+     * @param allowHtml {boolean|string} whether to allow whitelisted HTML in the message
+     * @return {string} HTML safe to render with a triple-stash
+     */
+    publicMethods.toSafeHtml = function (message, allowHtml) {
+        if (allowHtml && (allowHtml.toString() == "true")) {
+            return publicMethods.sanitize(message);
+        }
+        return publicMethods.escape(message);
+    };
+
+    var MESSAGE_ICONS = {success: "ok", info: "info", warning: "warning", danger: "error"};
+
+    /**
+     * Builds what the message units (uuf.unit.alert, uuf.unit.message and
+     * uuf.unit.message.notification) render from their parameters.
+     * @param params {Object} unit parameters, "type", "message" and "allowHtml" in particular
+     * @return {Object} "icon" of the message type, and the "message" passed through toSafeHtml
+     */
+    publicMethods.getMessageModel = function (params) {
+        return {
+            icon: MESSAGE_ICONS.hasOwnProperty(params.type) ? MESSAGE_ICONS[params.type] : "ok",
+            message: publicMethods.toSafeHtml(params.message, params.allowHtml)
+        };
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,296 @@
+var sso = function () {
+    var log = new Log("/app/modules/sso.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+
+    var publicMethods = {};
+
+    var SAML_PROTOCOL_NS = "urn:oasis:names:tc:SAML:2.0:protocol";
+    var SAML_ASSERTION_NS = "urn:oasis:names:tc:SAML:2.0:assertion";
+    var SAML_SUCCESS_STATUS = "urn:oasis:names:tc:SAML:2.0:status:Success";
+
+    var getConfigs = function (context) {
+        var authModuleConfigs = utility.getAuthModuleConfigs(context);
+        return (authModuleConfigs && authModuleConfigs["sso"]) || null;
+    };
+
+    var escapeXml = function (value) {
+        return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+    };
+
+    var encode = function (value) {
+        var bytes = new java.lang.String(value).getBytes("UTF-8");
+        return String(org.apache.commons.codec.binary.Base64.encodeBase64String(bytes));
+    };
+
+    var decode = function (value) {
+        var bytes = org.apache.commons.codec.binary.Base64
+            .decodeBase64(new java.lang.String(value).getBytes("UTF-8"));
+        return String(new java.lang.String(bytes, "UTF-8"));
+    };
+
+    var generateId = function () {
+        var bytes = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 20);
+        new java.security.SecureRandom().nextBytes(bytes);
+        var id = "_";
+        for (var i = 0; i < bytes.length; i++) {
+            id += ("0" + (bytes[i] & 0xff).toString(16)).slice(-2);
+        }
+        return id;
+    };
+
+    var getIssueInstant = function () {
+        var format = new java.text.SimpleDateFormat("yyyy-MM-dd'T'HH:mm:ss'Z'");
+        format.setTimeZone(java.util.TimeZone.getTimeZone("UTC"));
+        return String(format.format(new java.util.Date()));
+    };
+
+    /**
+     * Parses a SAML message with DTDs disabled, which rules out XXE and entity expansion attacks.
+     */
+    var parseXml = function (xml) {
+        var factory = javax.xml.parsers.DocumentBuilderFactory.newInstance();
+        factory.setNamespaceAware(true);
+        factory.setFeature("http://apache.org/xml/features/disallow-doctype-decl", true);
+        factory.setExpandEntityReferences(false);
+        return factory.newDocumentBuilder()
+            .parse(new org.xml.sax.InputSource(new java.io.StringReader(xml)));
+    };
+
+    var getText = function (document, namespace, localName) {
+        var nodes = document.getElementsByTagNameNS(namespace, localName);
+        return (nodes.getLength() > 0) ? String(nodes.item(0).getTextContent()).trim() : null;
+    };
+
+    var getIdentityProviderCertificate = function (ssoConfigs) {
+        var keyStorePath = java.lang.System.getProperty("carbon.home") + "/" +
+                           ssoConfigs["keyStoreName"];
+        var keyStore = java.security.KeyStore.getInstance("JKS");
+        var password = new java.lang.String(ssoConfigs["keyStorePassword"]).toCharArray();
+        var input = new java.io.FileInputStream(keyStorePath);
+        try {
+            keyStore.load(input, password);
+        } finally {
+            input.close();
+        }
+        return keyStore.getCertificate(ssoConfigs["identityProviderAlias"]);
+    };
+
+    /**
+     * Validates the enveloped signature of a SAML message against the certificate of the
+     * identity provider. The signature must cover the root element, so that a signed element
+     * cannot be wrapped into an unsigned message.
+     */
+    var isSignatureValid = function (document, ssoConfigs) {
+        var dsig = javax.xml.crypto.dsig;
+        var root = document.getDocumentElement();
+        var signatures = document.getElementsByTagNameNS(dsig.XMLSignature.XMLNS, "Signature");
+        if ((signatures.getLength() != 1) || !signatures.item(0).getParentNode().isSameNode(root)) {
+            return false;
+        }
+        root.setIdAttribute("ID", true);
+        var certificate = getIdentityProviderCertificate(ssoConfigs);
+        var validateContext = new dsig.dom.DOMValidateContext(certificate.getPublicKey(),
+                                                              signatures.item(0));
+        var signature = dsig.XMLSignatureFactory.getInstance("DOM")
+            .unmarshalXMLSignature(validateContext);
+        var references = signature.getSignedInfo().getReferences();
+        if ((references.size() != 1) ||
+            (String(references.get(0).getURI()) != ("#" + String(root.getAttribute("ID"))))) {
+            return false;
+        }
+        return signature.validate(validateContext);
+    };
+
+    var isExpired = function (userSession, now) {
+        try {
+            var maxInactive = userSession.getMaxInactiveInterval();
+            return (maxInactive > 0) &&
+                   ((userSession.getLastAccessedTime() + (maxInactive * 1000)) < now);
+        } catch (e) {
+            // Session has already been invalidated.
+            return true;
+        }
+    };
+
+    /**
+     * Runs a function on the map of SAML session indexes to local sessions of the users logged in
+     * through SSO, under a lock. Sessions which timed out or were invalidated are dropped first,
+     * so that the map holds live sessions only.
+     */
+    var updateSessions = function (fn) {
+        return utility.runExclusively(constants.SSO_SESSIONS_APP_KEY, function () {
+            var sessions = application.get(constants.SSO_SESSIONS_APP_KEY);
+            if (!sessions) {
+                sessions = {};
+                application.put(constants.SSO_SESSIONS_APP_KEY, sessions);
+            }
+            var now = new Date().getTime();
+            for (var sessionIndex in sessions) {
+                if (sessions.hasOwnProperty(sessionIndex) &&
+                    isExpired(sessions[sessionIndex], now)) {
+                    delete sessions[sessionIndex];
+                }
+            }
+            return fn(sessions);
+        });
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {boolean} true if SSO and "authModule.sso.singleLogoutEnabled" are enabled
+     */
+    publicMethods.isSingleLogoutEnabled = function (context) {
+        var ssoConfigs = getConfigs(context);
+        return !!(ssoConfigs && (ssoConfigs["enabled"].toString() == "true") &&
+                  ssoConfigs["singleLogoutEnabled"] &&
+                  (ssoConfigs["singleLogoutEnabled"].toString() == "true"));
+    };
+
+    /**
+     * Remembers the SAML session of a user logged in through SSO, so that the session can be
+     * ended by a logout request of the identity provider, and so that a single logout can be
+     * started from this app.
+     * @param userSession {Object} HttpSession of the user, as returned by utility.renewSession
+     * @param username {string} SAML name ID of the user
+     * @param sessionIndex {string} SAML session index issued by the identity provider
+     */
+    publicMethods.registerSession = function (userSession, username, sessionIndex) {
+        userSession.setAttribute(constants.SSO_SESSION_KEY,
+                                 {nameId: username, sessionIndex: sessionIndex});
+        updateSessions(function (sessions) {
+            sessions[sessionIndex] = userSession;
+        });
+    };
+
+    /**
+     * Forgets the SAML session of the current session, if any.
+     */
+    publicMethods.unregisterSession = function () {
+        var ssoSession = session.get(constants.SSO_SESSION_KEY);
+        if (ssoSession) {
+            updateSessions(function (sessions) {
+                delete sessions[ssoSession.sessionIndex];
+            });
+        }
+    };
+
+    /**
+     * Builds a SAML LogoutRequest for the SAML session of the current session, to be posted to
+     * the identity provider through the HTTP POST binding.
+     * @param context {Object} request context
+     * @param relayState {string} where to go once the identity provider responds
+     * @return {Object} identity provider URL, encoded request and relay state, or null if the
+     * user did not log in through SSO
+     */
+    publicMethods.buildLogoutRequest = function (context, relayState) {
+        var ssoSession = session.get(constants.SSO_SESSION_KEY);
+        if (!ssoSession) {
+            return null;
+        }
+        var ssoConfigs = getConfigs(context);
+        // Remembered so that only the response to this request ends the session.
+        ssoSession.logoutRequestId = generateId();
+        session.put(constants.SSO_SESSION_KEY, ssoSession);
+        var xml = '<samlp:LogoutRequest xmlns:samlp="' + SAML_PROTOCOL_NS + '" ' +
+                  'xmlns:saml="' + SAML_ASSERTION_NS + '" ' +
+                  'ID="' + ssoSession.logoutRequestId + '" ' +
+                  'Version="2.0" IssueInstant="' + getIssueInstant() + '" ' +
+                  'Destination="' + escapeXml(ssoConfigs["identityProviderUrl"]) + '" ' +
+                  'Reason="urn:oasis:names:tc:SAML:2.0:logout:user">' +
+                  '<saml:Issuer>' + escapeXml(ssoConfigs["issuer"]) + '</saml:Issuer>' +
+                  '<saml:NameID>' + escapeXml(ssoSession.nameId) + '</saml:NameID>' +
+                  '<samlp:SessionIndex>' + escapeXml(ssoSession.sessionIndex) +
+                  '</samlp:SessionIndex>' +
+                  '</samlp:LogoutRequest>';
+        return {
+            identityProviderUrl: ssoConfigs["identityProviderUrl"],
+            encodedSAMLLogoutRequest: encode(xml),
+            relayState: relayState || ""
+        };
+    };
+
+    /**
+     * Handles a SAML LogoutRequest sent by the identity provider, invalidating the local session
+     * of the SAML session it names.
+     * @param context {Object} request context
+     * @param encodedRequest {string} base64 encoded LogoutRequest
+     * @return {boolean} true if the request was valid
+     */
+    publicMethods.handleLogoutRequest = function (context, encodedRequest) {
+        var ssoConfigs = getConfigs(context);
+        var document;
+        try {
+            document = parseXml(decode(encodedRequest));
+        } catch (e) {
+            log.error("Cannot parse SAML LogoutRequest.", e);
+            return false;
+        }
+        var root = document.getDocumentElement();
+        if ((String(root.getNamespaceURI()) != SAML_PROTOCOL_NS) ||
+            (String(root.getLocalName()) != "LogoutRequest")) {
+            log.warn("Received a SAML message which is not a LogoutRequest.");
+            return false;
+        }
+        if ((ssoConfigs["responseSigningEnabled"].toString() == "true") &&
+            !isSignatureValid(document, ssoConfigs)) {
+            log.warn("Rejected SAML LogoutRequest with a missing or invalid signature.");
+            return false;
+        }
+
+        var nameId = getText(document, SAML_ASSERTION_NS, "NameID");
+        var sessionIndex = getText(document, SAML_PROTOCOL_NS, "SessionIndex");
+        var userSession = sessionIndex && updateSessions(function (sessions) {
+            var found = sessions[sessionIndex];
+            delete sessions[sessionIndex];
+            return found;
+        });
+        if (userSession) {
+            try {
+                userSession.invalidate();
+            } catch (e) {
+                // Session has already expired.
+            }
+            log.info("User '" + nameId + "' logged out by the identity provider.");
+        } else {
+            log.debug("No local session found for SAML session index '" + sessionIndex + "'.");
+        }
+        return true;
+    };
+
+    /**
+     * Handles the LogoutResponse of the identity provider to a single logout started by this app,
+     * invalidating the current session once it answers the LogoutRequest sent from it.
+     * @param encodedResponse {string} base64 encoded LogoutResponse
+     * @return {boolean} true if the identity provider reports a successful logout
+     */
+    publicMethods.handleLogoutResponse = function (encodedResponse) {
+        var document;
+        try {
+            document = parseXml(decode(encodedResponse));
+        } catch (e) {
+            log.error("Cannot parse SAML LogoutResponse.", e);
+            return false;
+        }
+        var ssoSession = session.get(constants.SSO_SESSION_KEY);
+        var inResponseTo = String(document.getDocumentElement().getAttribute("InResponseTo"));
+        if (!ssoSession || !ssoSession.logoutRequestId ||
+            (inResponseTo != ssoSession.logoutRequestId)) {
+            log.warn("Ignored a SAML LogoutResponse which does not answer a LogoutRequest of " +
+                     "this session.");
+            return false;
+        }
+        publicMethods.unregisterSession();
+        try {
+            session.invalidate();
+        } catch (e) {
+            // Session has already expired.
+        }
+        var statusCodes = document.getElementsByTagNameNS(SAML_PROTOCOL_NS, "StatusCode");
+        return (statusCodes.getLength() > 0) &&
+               (String(statusCodes.item(0).getAttribute("Value")) == SAML_SUCCESS_STATUS);
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,117 @@
+var tableState = function () {
+    var log = new Log("/app/modules/table-state.js");
+    var constants = require("/app/modules/constants.js");
+    var utility = require("/app/modules/utility.js").utility;
+
+    var publicMethods = {};
+
+    var getDirectory = function (context) {
+        var configs = context.app.conf["tableState"] || {};
+        return configs["directory"] || "/app/data/table-states";
+    };
+
+    var getUserKey = function (context) {
+        var user = session.get(constants.USER_SESSION_KEY) || context.user;
+        return user ? (user.username + "@" + (user.domain || "carbon.super")) : null;
+    };
+
+    /**
+     * Path of the file holding the table states of a user. Each user has a file of their own, so
+     * that saving a state rewrites only the states of that user. File names are digests of the
+     * user key, as user names may have characters file names cannot.
+     */
+    var getFilePath = function (context, userKey) {
+        var digest = java.security.MessageDigest.getInstance("SHA-256")
+            .digest(new java.lang.String(userKey).getBytes("UTF-8"));
+        var hex = "";
+        for (var i = 0; i < digest.length; i++) {
+            hex += ("0" + (digest[i] & 0xff).toString(16)).slice(-2);
+        }
+        return getDirectory(context) + "/" + hex + ".json";
+    };
+
+    var read = function (filePath) {
+        var file = new File(filePath);
+        if (!file.isExists()) {
+            return {};
+        }
+        file.open("r");
+        var content = parse(file.readAll() || "{}");
+        file.close();
+        return content["tables"] || {};
+    };
+
+    /**
+     * States are saved with the time they were saved at, which DataTables requires, so it is
+     * left out when comparing them.
+     */
+    var isSame = function (state, other) {
+        var withoutTime = function (value) {
+            var copy = {};
+            for (var key in value) {
+                if (value.hasOwnProperty(key) && (key != "time")) {
+                    copy[key] = value[key];
+                }
+            }
+            return stringify(copy);
+        };
+        return (state != null) && (other != null) && (withoutTime(state) == withoutTime(other));
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {Object} saved states of the data tables of the current user by table id, which
+     * is empty for anonymous users
+     */
+    publicMethods.getAll = function (context) {
+        var userKey = getUserKey(context);
+        if (!userKey) {
+            return {};
+        }
+        try {
+            return read(getFilePath(context, userKey));
+        } catch (e) {
+            log.error("Cannot read table states of user '" + userKey + "'.", e);
+            return {};
+        }
+    };
+
+    /**
+     * Saves the state of a data table for the current user. The file is only rewritten when the
+     * state has changed.
+     * @param context {Object} request context
+     * @param tableId {string} id of the table
+     * @param state {Object} DataTables state, or null to remove it
+     * @return {boolean} true if there is a signed in user to save the state for
+     */
+    publicMethods.set = function (context, tableId, state) {
+        var userKey = getUserKey(context);
+        if (!userKey) {
+            return false;
+        }
+        var filePath = getFilePath(context, userKey);
+        // Tabs of the same user may save at the same time.
+        utility.runExclusively(filePath, function () {
+            var tables = read(filePath);
+            if (isSame(tables[tableId], state) || ((state == null) && !tables[tableId])) {
+                return;
+            }
+            if (state == null) {
+                delete tables[tableId];
+            } else {
+                tables[tableId] = state;
+            }
+            var directory = new File(getDirectory(context));
+            if (!directory.isExists()) {
+                directory.mkdir();
+            }
+            var file = new File(filePath);
+            file.open("w");
+            file.write(stringify({tables: tables}));
+            file.close();
+        });
+        return true;
+    };
+
+    return publicMethods;
+}();
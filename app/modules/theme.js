@@ -0,0 +1,69 @@
+var theme = function () {
+    var preferences = require("/app/modules/preferences.js").preferences;
+
+    var publicMethods = {};
+
+    var PREFERENCE_NAME = "theme";
+
+    var getConfigs = function (context) {
+        var configs = context.app.conf["theme"] || {};
+        var themes = configs["themes"] || ["light"];
+        return {
+            themes: themes,
+            defaultTheme: configs["defaultTheme"] || themes[0]
+        };
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {Array} names of the themes listed in "theme.themes" of app-conf.json
+     */
+    publicMethods.getThemes = function (context) {
+        return getConfigs(context).themes;
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {string} theme chosen by the current user, or null if the user has not chosen one
+     */
+    publicMethods.getSelectedTheme = function (context) {
+        var selected = preferences.get(context, PREFERENCE_NAME);
+        return (selected && (getConfigs(context).themes.indexOf(selected) >= 0)) ? selected : null;
+    };
+
+    /**
+     * Saves the theme chosen by the current user.
+     * @param context {Object} request context
+     * @param name {string} theme name, or null to follow the color scheme of the browser
+     * @return {boolean} true if the theme exists
+     */
+    publicMethods.setSelectedTheme = function (context, name) {
+        if (name && (getConfigs(context).themes.indexOf(name) < 0)) {
+            return false;
+        }
+        preferences.set(context, PREFERENCE_NAME, name || null);
+        return true;
+    };
+
+    /**
+     * Stylesheets of uuf.unit.theme for the current user. The "light" theme is compiled from
+     * less/theme.less and any other theme from less/theme-<name>.less. Without a chosen theme,
+     * the default theme is used, switching to the dark theme through prefers-color-scheme where
+     * one is available.
+     * @param context {Object} request context
+     * @return {Object} path of the theme stylesheet, and of the color scheme stylesheet or null
+     */
+    publicMethods.getStylesheets = function (context) {
+        var configs = getConfigs(context);
+        var selected = publicMethods.getSelectedTheme(context);
+        var name = selected || configs.defaultTheme;
+        var colorSchemeSupported = !selected && (name != "dark") &&
+                                   (configs.themes.indexOf("dark") >= 0);
+        return {
+            theme: (name == "light") ? "less/theme.less" : "less/theme-" + name + ".less",
+            colorScheme: colorSchemeSupported ? "less/theme-color-scheme.less" : null
+        };
+    };
+
+    return publicMethods;
+}();
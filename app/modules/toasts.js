@@ -0,0 +1,73 @@
+var toasts = function () {
+    var log = new Log("/app/modules/toasts.js");
+    var constants = require("/app/modules/constants.js");
+
+    var publicMethods = {};
+
+    var TYPES = ["success", "info", "warning", "error"];
+
+    var defaults = {
+        layout: "topRight",
+        timeout: 5,
+        maxVisible: 5
+    };
+
+    /**
+     * @param context {Object} request context
+     * @return {Object} "toasts" configurations in app-conf.json merged over the defaults
+     */
+    publicMethods.getConfigs = function (context) {
+        var configs = context.app.conf["toasts"] || {};
+        var merged = {};
+        for (var key in defaults) {
+            if (defaults.hasOwnProperty(key)) {
+                merged[key] = (configs[key] == undefined) ? defaults[key] : configs[key];
+            }
+        }
+        return merged;
+    };
+
+    /**
+     * Queues a toast to show on the next page the current session loads, e.g. before
+     * response.sendRedirect. A toast identical to one already queued is not queued again.
+     * @param type {string} success, info, warning or error
+     * @param message {string} message, shown as text
+     * @param title {string} optional title
+     */
+    publicMethods.enqueue = function (type, message, title) {
+        if (TYPES.indexOf(type) < 0) {
+            log.warn("Unknown toast type '" + type + "', using 'info' instead.");
+            type = "info";
+        }
+        var toast = {type: type, message: String(message || ""), title: title ? String(title) : null};
+        var queued = session.get(constants.TOASTS_SESSION_KEY) || [];
+        for (var i = 0; i < queued.length; i++) {
+            if ((queued[i].type == toast.type) && (queued[i].message == toast.message) &&
+                (queued[i].title == toast.title)) {
+                return;
+            }
+        }
+        queued.push(toast);
+        session.put(constants.TOASTS_SESSION_KEY, queued);
+    };
+
+    TYPES.forEach(function (type) {
+        publicMethods[type] = function (message, title) {
+            publicMethods.enqueue(type, message, title);
+        };
+    });
+
+    /**
+     * Removes the queued toasts of the current session.
+     * @return {Array} queued toasts, oldest first
+     */
+    publicMethods.drain = function () {
+        var queued = session.get(constants.TOASTS_SESSION_KEY) || [];
+        if (queued.length > 0) {
+            session.remove(constants.TOASTS_SESSION_KEY);
+        }
+        return queued;
+    };
+
+    return publicMethods;
+}();
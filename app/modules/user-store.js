@@ -0,0 +1,187 @@
+var userStore = function () {
+    var log = new Log("/app/modules/user-store.js");
+    var constants = require("/app/modules/constants.js");
+
+    var publicMethods = {};
+    var stores = {};
+
+    /**
+     * Hex encoded SHA-256 digest of the given string.
+     * @param value {string} value to digest
+     * @return {string} digest
+     */
+    var sha256 = function (value) {
+        var digest = java.security.MessageDigest.getInstance("SHA-256")
+            .digest(new java.lang.String(value).getBytes("UTF-8"));
+        var hex = "";
+        for (var i = 0; i < digest.length; i++) {
+            hex += ("0" + (digest[i] & 0xff).toString(16)).slice(-2);
+        }
+        return hex;
+    };
+
+    /**
+     * Like in Carbon, a permission also grants every permission nested under it.
+     * @param roles {Object} permissions granted to each role, as {<role>: {"permissions": [...]}}
+     * @param userRoles {Array} roles of the user
+     * @param permission {string} permission path
+     * @return {boolean} true if one of the roles grants the permission
+     */
+    var isGranted = function (roles, userRoles, permission) {
+        for (var i = 0; i < userRoles.length; i++) {
+            var granted = (roles[userRoles[i]] && roles[userRoles[i]]["permissions"]) || [];
+            for (var j = 0; j < granted.length; j++) {
+                var prefix = granted[j].replace(/\/+$/, "");
+                if ((permission == prefix) || (permission.indexOf(prefix + "/") == 0)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    };
+
+    /**
+     * User store backed by the Carbon user realm of the server this app is deployed in.
+     */
+    stores[constants.USER_STORE_CARBON] = function (configs) {
+        var carbon = require("carbon");
+        var server = new carbon.server.Server();
+        return {
+            authenticate: function (username, password) {
+                try {
+                    if (!server.authenticate(username, password)) {
+                        return null;
+                    }
+                } catch (e) {
+                    log.error("Error occurred while authenticating user '" + username + "'.", e);
+                    return null;
+                }
+                var tenantUser = carbon.server.tenantUser(username);
+                return {
+                    username: tenantUser.username,
+                    domain: tenantUser.domain,
+                    tenantId: tenantUser.tenantId
+                };
+            },
+            isAuthorized: function (user, permission) {
+                var userManager = new carbon.user.UserManager(server, user.tenantId);
+                return new carbon.user.User(userManager, user.username)
+                    .isAuthorized(permission, "ui.execute");
+            }
+        };
+    };
+
+    /**
+     * User store backed by a JSON file, so that the app can run without an identity server.
+     * Each user entry holds a "salt" and a "password" which is the hex encoded SHA-256 of the
+     * salt followed by the plain text password, and the names of its "roles". Permissions are
+     * granted to roles in the "roles" section of the file.
+     */
+    stores[constants.USER_STORE_FILE] = function (configs) {
+        var filePath = configs["file"] || "/app/conf/users.json";
+        var file = new File(filePath);
+        if (!file.isExists()) {
+            throw new Error("User store file '" + filePath + "' does not exist.");
+        }
+        file.open("r");
+        var content = parse(file.readAll());
+        file.close();
+        var users = content["users"] || [];
+        var roles = content["roles"] || {};
+        if (users.length == 0) {
+            log.warn("User store file '" + filePath + "' has no users. Nobody can sign in.");
+        }
+        return {
+            authenticate: function (username, password) {
+                for (var i = 0; i < users.length; i++) {
+                    var user = users[i];
+                    if (user["username"] == username) {
+                        if (user["password"] != sha256((user["salt"] || "") + password)) {
+                            return null;
+                        }
+                        return {
+                            username: user["username"],
+                            domain: user["domain"] || "carbon.super",
+                            tenantId: (user["tenantId"] == undefined) ? -1234 : user["tenantId"],
+                            roles: user["roles"] || []
+                        };
+                    }
+                }
+                return null;
+            },
+            isAuthorized: function (user, permission) {
+                return isGranted(roles, user.roles || [], permission);
+            }
+        };
+    };
+
+    /**
+     * User store of users signed in through OpenID Connect, who are authorized by the roles
+     * listed in the "roleClaim" of their ID token ("groups" by default). Permissions are granted
+     * to roles in "roles", like in the file user store. It cannot authenticate users.
+     */
+    stores[constants.USER_STORE_CLAIMS] = function (configs) {
+        var roles = configs["roles"] || {};
+        var roleClaim = configs["roleClaim"] || "groups";
+        return {
+            authenticate: function (username, password) {
+                return null;
+            },
+            isAuthorized: function (user, permission) {
+                var userRoles = (user.claims && user.claims[roleClaim]) || [];
+                return isGranted(roles, [].concat(userRoles), permission);
+            }
+        };
+    };
+
+    var create = function (configs) {
+        var type = configs["type"] || constants.USER_STORE_CARBON;
+        var factory = stores[type];
+        if (!factory && configs["script"]) {
+            factory = require(configs["script"]).createUserStore;
+        }
+        if (!factory) {
+            throw new Error("Unknown user store type '" + type + "'.");
+        }
+        return factory(configs);
+    };
+
+    /**
+     * Returns the user store configured under "authModule.userStore" in app-conf.json. Defaults
+     * to the Carbon user store. Types other than "carbon" and "file" are implemented by the
+     * script given in "authModule.userStore.script", which must define a
+     * createUserStore(configs) function. It receives the "userStore" configuration block and
+     * returns an object with an authenticate(username, password) function, which returns the
+     * authenticated user or null, and an isAuthorized(user, permission) function.
+     * @param authModuleConfigs {Object} auth module configurations
+     * @return {Object} user store
+     */
+    publicMethods.get = function (authModuleConfigs) {
+        return create(authModuleConfigs["userStore"] || {});
+    };
+
+    /**
+     * Returns the user store that authorizes a signed in user. Users who signed in through SAML
+     * SSO or OpenID Connect are authorized by the user store configured under
+     * "authModule.sso.userStore" or "authModule.oidc.userStore", which default to the Carbon and
+     * to the claims user stores. Everyone else is authorized by "authModule.userStore".
+     * @param authModuleConfigs {Object} auth module configurations
+     * @param user {Object} signed in user
+     * @return {Object} user store
+     */
+    publicMethods.getForUser = function (authModuleConfigs, user) {
+        if (user.authenticator == constants.AUTHENTICATOR_SSO) {
+            return create((authModuleConfigs["sso"] || {})["userStore"] ||
+                          {type: constants.USER_STORE_CARBON});
+        }
+        if (user.authenticator == constants.AUTHENTICATOR_OIDC) {
+            return create((authModuleConfigs["oidc"] || {})["userStore"] ||
+                          {type: constants.USER_STORE_CLAIMS});
+        }
+        return publicMethods.get(authModuleConfigs);
+    };
+
+    publicMethods.sha256 = sha256;
+
+    return publicMethods;
+}();
@@ -0,0 +1,176 @@
+var utility = function () {
+    var log = new Log("/app/modules/utility.js");
+    var constants = require("/app/modules/constants.js");
+
+    var publicMethods = {};
+
+    /**
+     * Returns the configuration block of the auth module in app-conf.json, or null when the auth
+     * module is disabled.
+     * @param context {Object} request context
+     * @return {Object} auth module configurations
+     */
+    publicMethods.getAuthModuleConfigs = function (context) {
+        var authModuleConfigs = context.app.conf["authModule"];
+        if (authModuleConfigs && (authModuleConfigs["enabled"].toString() == "true")) {
+            return authModuleConfigs;
+        }
+        return null;
+    };
+
+    /**
+     * Resolves the absolute URI of a page from its name, e.g. "uuf.page.home" to "/app/home".
+     * @param context {Object} request context
+     * @param pageName {string} fully qualified page name
+     * @return {string} URI of the page, or the app root if the page cannot be resolved
+     */
+    publicMethods.getPageUri = function (context, pageName) {
+        if (pageName && (pageName.indexOf(constants.PAGE_PREFIX) == 0)) {
+            var shortName = pageName.substring(constants.PAGE_PREFIX.length);
+            var descriptorPath = "/app/pages/" + pageName + "/" + shortName + ".json";
+            if (new File(descriptorPath).isExists()) {
+                return context.app.context + require(descriptorPath)["uri"];
+            }
+        }
+        log.warn("Cannot resolve URI of page '" + pageName + "'. Falling back to app root.");
+        return context.app.context + "/";
+    };
+
+    /**
+     * Validates a referer to redirect to. Only absolute paths within this app, i.e. under
+     * context.app.context, are accepted, so that the referer cannot be used to redirect users to
+     * other sites or apps.
+     * @param context {Object} request context
+     * @param referer {string} referer received in the request
+     * @return {string} the referer if it is valid, otherwise null
+     */
+    publicMethods.getValidReferer = function (context, referer) {
+        if (!referer) {
+            return null;
+        }
+        referer = String(referer);
+        var appContext = context.app.context;
+        var isAppPath = (referer == appContext) || (referer.indexOf(appContext + "/") == 0);
+        // Reject protocol relative URLs, backslashes (treated as slashes by some browsers),
+        // control characters, and plain or encoded dot segments that could escape the app context.
+        var path = referer.split(/[?#]/)[0];
+        var isUnsafe = (referer.indexOf("//") == 0) || /[\\\x00-\x1f\x7f]/.test(referer) ||
+                       /(^|\/)\.\.?(\/|$)/.test(path) || /%2e|%2f|%5c/i.test(path);
+        if (!isAppPath || isUnsafe) {
+            log.warn("Dropped referer '" + encodeURI(referer) + "' which is not a path within '" +
+                     appContext + "'.");
+            return null;
+        }
+        return referer;
+    };
+
+    /**
+     * Runs a function while holding a server wide lock, so that concurrent requests reading and
+     * rewriting the same file, or the same application wide object, do not lose each other's
+     * updates. Locks are told apart by name, e.g. the path of the file.
+     * @param lockName {string} name of the lock
+     * @param fn {function} function to run
+     * @return {*} value returned by the function
+     */
+    publicMethods.runExclusively = function (lockName, fn) {
+        // Interned strings are one object per JVM, so every request synchronizes on the same one.
+        var lock = new java.lang.String("uuf-lock:" + lockName).intern();
+        return new org.mozilla.javascript.Synchronizer(fn, lock)();
+    };
+
+    /**
+     * Returns an application wide object, creating it the first time it is asked for. Use this
+     * for Java objects shared by requests, e.g. maps or counters, as every request evaluates
+     * modules afresh.
+     * @param key {string} application key of the object
+     * @param create {function} function returning a new object
+     * @return {Object} the object stored under the key
+     */
+    publicMethods.getApplicationObject = function (key, create) {
+        var object = application.get(key);
+        if (!object) {
+            object = publicMethods.runExclusively(key, function () {
+                var created = application.get(key);
+                if (!created) {
+                    created = create();
+                    application.put(key, created);
+                }
+                return created;
+            });
+        }
+        return object;
+    };
+
+    /**
+     * Returns the Java object that waits and notifications of a signal go through.
+     */
+    var getSignal = function (signalName) {
+        var signals = publicMethods.getApplicationObject(constants.SIGNALS_APP_KEY, function () {
+            return new java.util.concurrent.ConcurrentHashMap();
+        });
+        signals.putIfAbsent(signalName, new java.lang.Object());
+        return signals.get(signalName);
+    };
+
+    /**
+     * Waits until a condition holds, or until the timeout passes, without polling. The condition
+     * is checked once at first, and again each time sendSignal is called with the same signal
+     * name. Signals only reach requests served by the same server.
+     * @param signalName {string} name of the signal
+     * @param condition {function} function returning a truthy value once the wait is over
+     * @param timeout {number} maximum time to wait in milliseconds
+     * @return {*} value last returned by the condition
+     */
+    publicMethods.waitForSignal = function (signalName, condition, timeout) {
+        var signal = getSignal(signalName);
+        var deadline = new Date().getTime() + timeout;
+        return new org.mozilla.javascript.Synchronizer(function () {
+            // The condition is checked while holding the signal, so that a signal sent after the
+            // check cannot be missed.
+            var result = condition();
+            var remaining = deadline - new Date().getTime();
+            while (!result && (remaining > 0)) {
+                signal.wait(remaining);
+                result = condition();
+                remaining = deadline - new Date().getTime();
+            }
+            return result;
+        }, signal)();
+    };
+
+    /**
+     * Wakes up the requests waiting in waitForSignal with the given signal name.
+     * @param signalName {string} name of the signal
+     */
+    publicMethods.sendSignal = function (signalName) {
+        var signal = getSignal(signalName);
+        new org.mozilla.javascript.Synchronizer(function () {
+            signal.notifyAll();
+        }, signal)();
+    };
+
+    /**
+     * Replaces the session of the current request with a new one, so that a session ID planted
+     * in the browser before sign in (session fixation) is worthless afterwards. The "session"
+     * global still refers to the invalidated session for the rest of the request, so values meant
+     * for the new session must be set on the returned one.
+     * @param keys {Array} session keys whose values are carried over to the new session
+     * @return {Object} the new HttpSession
+     */
+    publicMethods.renewSession = function (keys) {
+        var carried = {};
+        (keys || []).forEach(function (key) {
+            carried[key] = session.get(key);
+        });
+        session.invalidate();
+        var newSession = request.getSession(true);
+        for (var key in carried) {
+            if (carried.hasOwnProperty(key) && (carried[key] != null)) {
+                newSession.setAttribute(key, carried[key]);
+            }
+        }
+        return newSession;
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,74 @@
+// Titles and descriptions are the "error.<status>.title" and "error.<status>.description" messages.
+var ERROR_ICONS = {
+    "401": "lock",
+    "403": "block",
+    "404": "broken-link",
+    "500": "error",
+    "503": "hour-glass",
+    "default": "error"
+};
+
+function getStackTrace(exception) {
+    if (!exception) {
+        return null;
+    }
+    if (exception instanceof java.lang.Throwable) {
+        var writer = new java.io.StringWriter();
+        exception.printStackTrace(new java.io.PrintWriter(writer));
+        return String(writer.toString());
+    }
+    return exception.stack || String(exception);
+}
+
+function onRequest(context) {
+    var log = new Log("uuf.page.error");
+    var params = context.page.params || {};
+    var status = String(params.status || 500);
+    var i18n = require("/app/modules/i18n.js").i18n;
+    var variant = ERROR_ICONS.hasOwnProperty(status) ? status : "default";
+    var title = i18n.translate(context, "error." + variant + ".title");
+    var description = (variant == "default") ? null :
+                      i18n.translate(context, "error." + variant + ".description");
+    var correlationId = String(java.util.UUID.randomUUID().toString());
+    var debuggingEnabled = (String(context.app.conf["debuggingEnabled"]) == "true");
+    var stackTrace = debuggingEnabled ? getStackTrace(params.exception) : null;
+
+    // Correlation ID lets support find the server side details of the error a user reports.
+    var logMessage = "[" + correlationId + "] HTTP " + status + " for '" +
+                     request.getRequestURI() + "': " + params.message +
+                     (stackTrace ? "\n" + stackTrace : "");
+    if (parseInt(status) >= 500) {
+        log.error(logMessage);
+    } else {
+        // Client errors such as unknown URLs are routine, and would flood the error log.
+        log.debug(logMessage);
+    }
+    response.addHeader("X-Correlation-ID", correlationId);
+
+    var accept = String(request.getHeader("Accept") || "");
+    if ((accept.indexOf("application/json") >= 0) && (accept.indexOf("text/html") < 0)) {
+        response.status = parseInt(status);
+        response.contentType = "application/json";
+        var error = {
+            status: parseInt(status),
+            title: title,
+            message: params.message || description,
+            correlationId: correlationId
+        };
+        if (stackTrace) {
+            error.stackTrace = stackTrace;
+        }
+        print(error);
+        exit();
+    }
+
+    return {
+        status: status,
+        icon: ERROR_ICONS[variant],
+        title: title,
+        description: description,
+        isUnauthorized: (status == "401"),
+        correlationId: correlationId,
+        stackTrace: stackTrace
+    };
+}
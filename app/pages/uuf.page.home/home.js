@@ -0,0 +1,11 @@
+function onRequest(context) {
+    var permissions = require("/app/modules/permissions.js").permissions;
+    // Menu items are hidden from users who lack any of their listed permissions.
+    var menuItems = [
+        {name: "Dashboard", icon: "dashboard", path: "/", permissions: ["/permission/admin/login"]},
+        {name: "Sign Out", icon: "user", path: "/signout"}
+    ];
+    return {
+        menuItems: permissions.filter(context, menuItems)
+    };
+}
@@ -0,0 +1,39 @@
+function onRequest(context) {
+    var mfa = require("/app/modules/mfa.js").mfa;
+    var pending = mfa.getPending();
+    if (!mfa.isEnabled(context) || !pending) {
+        // There is no login waiting for a second factor.
+        response.sendRedirect(context.app.context + "/signin");
+        exit();
+    }
+
+    var username = pending.user.username;
+    if (mfa.isEnrolled(context, username)) {
+        // Enrolment cannot be used to replace an existing secret.
+        response.sendRedirect(context.app.context + "/mfa/verify");
+        exit();
+    }
+    if (!pending.secret) {
+        // Secret is kept in the pending login until the user proves it was registered.
+        pending.secret = mfa.createSecret();
+        session.put(require("/app/modules/constants.js").MFA_PENDING_SESSION_KEY, pending);
+    }
+
+    var result = {
+        username: username,
+        secret: pending.secret,
+        keyUri: mfa.getKeyUri(context, username, pending.secret)
+    };
+    if (request.getMethod() == "POST") {
+        require("/app/modules/csrf.js").csrf.enforce();
+        var enrolled = mfa.submitCode(context, pending.secret, function (usedStep) {
+            mfa.enrol(context, username, pending.secret, usedStep);
+        });
+        if (enrolled) {
+            exit();
+        }
+        result.message = require("/app/modules/i18n.js").i18n.translate(context,
+                                                                        "mfa.error.invalid");
+    }
+    return result;
+}
@@ -0,0 +1,7 @@
+$(document).ready(function(){
+    var container = $("#_uuf-mfa-qrcode");
+    var qr = qrcode(0, "M");
+    qr.addData(container.attr("data-key-uri"));
+    qr.make();
+    container.html(qr.createImgTag(5, 10));
+});
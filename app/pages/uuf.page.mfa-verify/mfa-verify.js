@@ -0,0 +1,24 @@
+function onRequest(context) {
+    var mfa = require("/app/modules/mfa.js").mfa;
+    var pending = mfa.getPending();
+    if (!mfa.isEnabled(context) || !pending) {
+        // There is no login waiting for a second factor.
+        response.sendRedirect(context.app.context + "/signin");
+        exit();
+    }
+
+    var username = pending.user.username;
+    if (request.getMethod() == "POST") {
+        require("/app/modules/csrf.js").csrf.enforce();
+        if (mfa.submitCode(context, mfa.getSecret(context, username))) {
+            exit();
+        }
+        return {
+            username: username,
+            message: require("/app/modules/i18n.js").i18n.translate(context, "mfa.error.invalid")
+        };
+    }
+    return {
+        username: username
+    };
+}
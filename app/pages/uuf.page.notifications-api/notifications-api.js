@@ -0,0 +1,43 @@
+/**
+ * JSON API of the notifications of the current user.
+ *
+ * GET  lists the unread count and the latest notifications, "limit" of them if given.
+ * POST with "action" set to "read" or "delete" and an "id", or to "read-all", changes them and
+ *      responds with the updated list.
+ */
+function onRequest(context) {
+    var notifications = require("/app/modules/notifications.js").notifications;
+    var limit = parseInt(request.getParameter("limit")) ||
+                parseInt(notifications.getConfigs(context)["paneSize"]);
+    response.contentType = "application/json";
+
+    if (request.getMethod() == "POST") {
+        require("/app/modules/csrf.js").csrf.enforce();
+        var action = String(request.getParameter("action"));
+        var id = request.getParameter("id");
+        var found = true;
+        if (action == "read") {
+            found = notifications.markRead(context, id);
+        } else if (action == "read-all") {
+            notifications.markAllRead(context);
+        } else if (action == "delete") {
+            found = notifications.remove(context, id);
+        } else {
+            response.status = 400;
+            print({error: "Unknown action '" + action + "'."});
+            exit();
+        }
+        if (!found) {
+            response.status = 404;
+            print({error: "Notification '" + id + "' does not exist."});
+            exit();
+        }
+    } else if (request.getMethod() != "GET") {
+        response.status = 405;
+        print({error: "Method not allowed."});
+        exit();
+    }
+
+    print(notifications.list(context, limit));
+    exit();
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * WebSocket endpoint of new notifications of the current user, which browsers fall back to when
+ * they cannot use the Server-Sent Events stream. Notifications added after the one whose sequence
+ * number is in the "since" parameter are sent right away, and later ones as notifications.add is
+ * called, one JSON text message each in the format of the data of the stream's events.
+ */
+function onRequest(context) {
+    var notifications = require("/app/modules/notifications.js").notifications;
+    var pushConfigs = notifications.getConfigs(context)["push"];
+    // The webSocket global only exists in WebSocket handshakes.
+    if ((String(pushConfigs["enabled"]) != "true") ||
+        (String(pushConfigs["webSocket"]) != "true") || (typeof webSocket == "undefined")) {
+        response.sendError(404);
+        exit();
+    }
+    var since = parseInt(request.getParameter("since"));
+    if (isNaN(since)) {
+        response.sendError(400);
+        exit();
+    }
+    notifications.openSocket(context, webSocket, since);
+    exit();
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Server-Sent Events stream of new notifications of the current user. Each response waits up to
+ * "notifications.push.holdTime" seconds for notifications added after the one whose sequence
+ * number is in the "Last-Event-ID" header, or in the "since" parameter on the first connection,
+ * and ends as soon as there are any. EventSource then reconnects by itself, so events are
+ * delivered without relying on the servlet container to flush a never ending response. The wait
+ * is woken up by notifications.add, so the store is not read over and over again. When
+ * "notifications.push.maxStreams" responses are waiting already, the stream answers with 204 No
+ * Content, which stops EventSource from reconnecting.
+ */
+function onRequest(context) {
+    var notifications = require("/app/modules/notifications.js").notifications;
+    var pushConfigs = notifications.getConfigs(context)["push"];
+    if (String(pushConfigs["enabled"]) != "true") {
+        response.sendError(404);
+        exit();
+    }
+    var holdTime = parseInt(pushConfigs["holdTime"]) * 1000;
+    var since = parseInt(request.getHeader("Last-Event-ID") || request.getParameter("since"));
+    if (isNaN(since)) {
+        response.sendError(400);
+        exit();
+    }
+    var result = notifications.waitSince(context, since, holdTime);
+    if (!result) {
+        response.status = 204;
+        exit();
+    }
+
+    response.contentType = "text/event-stream";
+    response.addHeader("Cache-Control", "no-cache");
+    print("retry: " + (parseInt(pushConfigs["reconnectDelay"]) * 1000) + "\n\n");
+    for (var i = 0; i < result.notifications.length; i++) {
+        var notification = result.notifications[i];
+        print("id: " + notification.sequence + "\n" +
+              "event: notification\n" +
+              "data: " + stringify({
+                  notification: notification,
+                  unreadCount: result.unreadCount
+              }) + "\n\n");
+    }
+    if (result.notifications.length == 0) {
+        // Comment line, so that proxies see some traffic before the connection ends.
+        print(": no new notifications\n\n");
+    }
+    exit();
+}
\ No newline at end of file
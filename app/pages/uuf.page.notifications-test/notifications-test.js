@@ -0,0 +1,44 @@
+/**
+ * Test harness for the notifications pane, available only when "debuggingEnabled" is true. It
+ * publishes notifications to a user, optionally several at a time and after a delay, so that
+ * polling, pushing, toasts and reconnections can be tried out locally.
+ */
+var MAX_COUNT = 20;
+var MAX_DELAY = 60;
+
+function onRequest(context) {
+    if (String(context.app.conf["debuggingEnabled"]) != "true") {
+        response.sendError(404);
+        exit();
+    }
+    var notifications = require("/app/modules/notifications.js").notifications;
+    var user = {
+        username: context.user.username,
+        domain: context.user.domain
+    };
+    if (request.getMethod() != "POST") {
+        return {username: user.username};
+    }
+
+    require("/app/modules/csrf.js").csrf.enforce();
+    if (request.getParameter("username")) {
+        user.username = String(request.getParameter("username"));
+    }
+    var count = Math.min(Math.max(parseInt(request.getParameter("count")) || 1, 1), MAX_COUNT);
+    var delay = Math.min(Math.max(parseInt(request.getParameter("delay")) || 0, 0), MAX_DELAY);
+    if (delay > 0) {
+        // Delaying here lets the pane of another tab receive the notifications while it waits.
+        java.lang.Thread.sleep(delay * 1000);
+    }
+    for (var i = 1; i <= count; i++) {
+        notifications.add(context, user, {
+            type: request.getParameter("type"),
+            title: request.getParameter("title") + ((count > 1) ? " (" + i + ")" : ""),
+            message: request.getParameter("message")
+        });
+    }
+    return {
+        username: user.username,
+        published: count
+    };
+}
\ No newline at end of file
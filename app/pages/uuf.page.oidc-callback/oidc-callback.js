@@ -0,0 +1,20 @@
+function onRequest(context) {
+    var oidc = require("/app/modules/oidc.js").oidc;
+    if (!oidc.isEnabled(context)) {
+        response.sendError(404);
+        exit();
+    }
+
+    var login = require("/app/modules/login.js");
+    var result = oidc.handleCallback(context);
+    if (result) {
+        context.user = result.user;
+        context.input = {username: result.user.username, referer: result.referer};
+        login.onSuccess(context);
+    } else {
+        context.input = {};
+        context.message = "Cannot sign in with the identity provider";
+        login.onFail(context);
+    }
+    exit();
+}
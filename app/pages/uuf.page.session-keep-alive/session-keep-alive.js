@@ -0,0 +1,10 @@
+function onRequest(context) {
+    // Reaching here as a logged in user is enough to extend the session.
+    require("/app/modules/csrf.js").csrf.enforce();
+    response.contentType = "application/json";
+    print({
+        username: context.user.username,
+        timeout: session.maxInactive
+    });
+    exit();
+}
@@ -12,12 +12,12 @@ $(document).ready(function(){
         },
         messages: {
             username: {
-                required: "Please enter a username",
-                minlength: "Your username must consist of at least 3 characters"
+                required: $.i18n("sign-in.username.required"),
+                minlength: $.i18n("sign-in.username.minlength", 3)
             },
             password: {
-                required: "Please provide a password",
-                minlength: "Your password must be at least 3 characters long"
+                required: $.i18n("sign-in.password.required"),
+                minlength: $.i18n("sign-in.password.minlength", 3)
             }
         }
     });
@@ -1,4 +1,5 @@
 function onRequest(context) {
+    var utility = require("/app/modules/utility.js").utility;
     var authModuleConfigs = context.app.conf["authModule"];
     if (authModuleConfigs && (authModuleConfigs["enabled"].toString() == "true")) {
         // Auth module is enabled.
@@ -8,22 +9,27 @@ function onRequest(context) {
             exit();
         } else {
             // User is not logged in.
+            var referer = utility.getValidReferer(context, request.getParameter("referer"));
             var ssoConfigs = authModuleConfigs["sso"];
-            if (ssoConfigs && (ssoConfigs["enabled"].toString() == "true")) {
+            var oidc = require("/app/modules/oidc.js").oidc;
+            var flash = require("/app/modules/flash.js").flash;
+            if (oidc.isEnabled(context) && !flash.hasPending()) {
+                // OpenID Connect is enabled in Auth module. Failed attempts stay here to show
+                // the flashed error instead of looping back to the provider.
+                oidc.startAuthentication(context, referer);
+                exit();
+            } else if (ssoConfigs && (ssoConfigs["enabled"].toString() == "true")) {
                 // SSO is enabled in Auth module.
                 var redirectUri = context.app.context + "/uuf/login";
-                var queryString = request.getQueryString();
-                if (queryString && (queryString.length > 0)) {
-                    redirectUri = redirectUri + "?" + queryString;
+                // Only a validated referer is forwarded, never the raw query string.
+                if (referer) {
+                    redirectUri = redirectUri + "?referer=" + encodeURIComponent(referer);
                 }
-                response.sendRedirect(encodeURI(redirectUri));
+                response.sendRedirect(redirectUri);
                 exit();
             } else {
                 // Generic login process is enabled.
-                return {
-                    message: request.getParameter("error"),
-                    referer: request.getParameter("referer")
-                };
+                return {referer: referer};
             }
         }
     }
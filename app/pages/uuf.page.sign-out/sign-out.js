@@ -1,14 +1,28 @@
 function onRequest(context) {
+    var utility = require("/app/modules/utility.js").utility;
     var authModuleConfigs = context.app.conf["authModule"];
     if (authModuleConfigs && (authModuleConfigs["enabled"].toString() == "true")) {
         // Auth module is enabled.
         if (context.user) {
             // User is logged in.
-            response.sendRedirect(context.app.context + "/uuf/logout");
-            exit();
+            if (request.getMethod() == "POST") {
+                var logoutRequest = require("/app/modules/logout.js").logout(context);
+                if (logoutRequest) {
+                    // Single logout, so post the SAML LogoutRequest to the identity provider.
+                    return {
+                        singleLogout: logoutRequest
+                    };
+                }
+                exit();
+            }
+            // Sign out is only performed on POST, so ask the user to confirm it.
+            return {
+                referer: utility.getValidReferer(context, request.getParameter("referer"))
+            };
         } else {
             // User is already logged out.
-            response.sendRedirect(context.app.context + "/");
+            var referer = utility.getValidReferer(context, request.getParameter("referer"));
+            response.sendRedirect(referer || (context.app.context + "/"));
             exit();
         }
     }
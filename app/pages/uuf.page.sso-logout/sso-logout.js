@@ -0,0 +1,35 @@
+function onRequest(context) {
+    var sso = require("/app/modules/sso.js").sso;
+    if (!sso.isSingleLogoutEnabled(context)) {
+        response.sendError(404);
+        exit();
+    }
+
+    var samlRequest = request.getParameter("SAMLRequest");
+    var samlResponse = request.getParameter("SAMLResponse");
+    if (samlRequest) {
+        // Logout initiated by the identity provider. It is posted cross-site, so it is trusted
+        // for its signature rather than for a CSRF token.
+        if (sso.handleLogoutRequest(context, samlRequest)) {
+            response.status = 200;
+        } else {
+            response.sendError(400, "Invalid SAML LogoutRequest.");
+        }
+    } else if (samlResponse) {
+        // Identity provider finished a single logout started by this app, which ends the session.
+        var utility = require("/app/modules/utility.js").utility;
+        if (!sso.handleLogoutResponse(samlResponse)) {
+            new Log("uuf.page.sso-logout").warn("Identity provider reported a failed logout.");
+        }
+        var logoutConfigs = utility.getAuthModuleConfigs(context)["logout"];
+        var redirectUri = utility.getPageUri(context, logoutConfigs["onSuccess"]["page"]);
+        var referer = utility.getValidReferer(context, request.getParameter("RelayState"));
+        if (referer) {
+            redirectUri = redirectUri + "?referer=" + encodeURIComponent(referer);
+        }
+        response.sendRedirect(redirectUri);
+    } else {
+        response.sendError(400, "SAMLRequest or SAMLResponse is required.");
+    }
+    exit();
+}
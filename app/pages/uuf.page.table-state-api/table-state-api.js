@@ -0,0 +1,47 @@
+/**
+ * JSON API that $.fn.datatables_extended saves the data table states of the current user through,
+ * per table id. uuf.unit.lib.data-table renders the saved states into the page.
+ *
+ * POST with "table" and "state", the state as JSON, saves the state. An empty state removes it.
+ */
+var TABLE_ID_PATTERN = /^[\w-]{1,100}$/;
+var MAX_STATE_LENGTH = 20000;
+
+function onRequest(context) {
+    var tableState = require("/app/modules/table-state.js").tableState;
+    var tableId = String(request.getParameter("table") || "");
+    response.contentType = "application/json";
+    if (request.getMethod() != "POST") {
+        response.status = 405;
+        print({error: "Method not allowed."});
+        exit();
+    }
+    if (!TABLE_ID_PATTERN.test(tableId)) {
+        response.status = 400;
+        print({error: "Invalid table id '" + tableId + "'."});
+        exit();
+    }
+
+    require("/app/modules/csrf.js").csrf.enforce();
+    var state = String(request.getParameter("state") || "");
+    if (state.length > MAX_STATE_LENGTH) {
+        response.status = 400;
+        print({error: "Table state is too large."});
+        exit();
+    }
+    var parsed;
+    try {
+        parsed = state ? parse(state) : null;
+    } catch (e) {
+        response.status = 400;
+        print({error: "Table state is not valid JSON."});
+        exit();
+    }
+    if (!tableState.set(context, tableId, parsed)) {
+        response.status = 401;
+        print({error: "Table states are only saved for signed in users."});
+        exit();
+    }
+    print({saved: true});
+    exit();
+}
\ No newline at end of file
@@ -0,0 +1,18 @@
+function onRequest(context) {
+    var utility = require("/app/modules/utility.js").utility;
+    var theme = require("/app/modules/theme.js").theme;
+    if (request.getMethod() != "POST") {
+        response.sendError(405, "Themes can only be changed with POST.");
+        exit();
+    }
+    require("/app/modules/csrf.js").csrf.enforce();
+    // An empty theme follows the color scheme of the browser again.
+    var name = request.getParameter("theme");
+    if (!theme.setSelectedTheme(context, name ? String(name) : null)) {
+        response.sendError(400, "Unknown theme '" + name + "'.");
+        exit();
+    }
+    var referer = utility.getValidReferer(context, request.getParameter("referer"));
+    response.sendRedirect(referer || (context.app.context + "/"));
+    exit();
+}
\ No newline at end of file
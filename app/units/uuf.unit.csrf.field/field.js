@@ -0,0 +1,7 @@
+function onRequest(context) {
+    var constants = require("/app/modules/constants.js");
+    return {
+        name: constants.CSRF_TOKEN_PARAMETER,
+        token: require("/app/modules/csrf.js").csrf.getToken()
+    };
+}
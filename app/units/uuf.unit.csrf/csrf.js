@@ -0,0 +1,5 @@
+function onRequest(context) {
+    return {
+        token: require("/app/modules/csrf.js").csrf.getToken()
+    };
+}
@@ -0,0 +1,3 @@
+function onRequest(context) {
+    return {flashes: require("/app/modules/flash.js").flash.drain()};
+}
\ No newline at end of file
@@ -0,0 +1,3 @@
+function onRequest(context) {
+    return require("/app/modules/branding.js").branding.getFooter(context);
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Posts the forms of the user menu: the theme form when a theme is picked, where an empty theme
+ * follows the color scheme of the browser, and the sign out form.
+ */
+$(document).ready(function(){
+    $("#_uuf-theme-form").closest(".dropdown-menu").on("click", "a[data-theme]", function (event) {
+        event.preventDefault();
+        var form = $("#_uuf-theme-form");
+        form.find("input[name=theme]").val($(this).attr("data-theme"));
+        form.submit();
+    });
+
+    $("#_uuf-sign-out-link").click(function (event) {
+        event.preventDefault();
+        $("#_uuf-sign-out-form").submit();
+    });
+});
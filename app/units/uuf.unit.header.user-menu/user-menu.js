@@ -0,0 +1,18 @@
+function onRequest(context) {
+    var i18n = require("/app/modules/i18n.js").i18n;
+    var theme = require("/app/modules/theme.js").theme;
+    var selected = theme.getSelectedTheme(context);
+    var themes = theme.getThemes(context).map(function (name) {
+        return {
+            name: name,
+            label: i18n.translate(context, "user-menu.theme." + name),
+            selected: (name == selected)
+        };
+    });
+    var queryString = request.getQueryString();
+    return {
+        themes: themes,
+        followsColorScheme: !selected,
+        referer: request.getRequestURI() + (queryString ? "?" + queryString : "")
+    };
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+function onRequest(context) {
+    var component = context.unit.params.component;
+    var messages = require("/app/modules/i18n.js").i18n.getComponentMessages(context, component);
+    // Escape characters that could end the script element the messages are rendered into.
+    return {
+        component: component,
+        messages: stringify(messages).replace(/</g, "\\u003c").replace(/>/g, "\\u003e")
+            .replace(/&/g, "\\u0026")
+    };
+}
\ No newline at end of file
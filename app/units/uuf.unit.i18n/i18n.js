@@ -0,0 +1,6 @@
+function onRequest(context) {
+    // Pushed to every page, so that the first page rendered registers the helpers. They stay
+    // registered from then on, whatever order later pages render their units in.
+    require("/app/modules/i18n.js").i18n.registerHelpers();
+    return {};
+}
\ No newline at end of file
@@ -0,0 +1,9 @@
+function onRequest(context) {
+    var states = require("/app/modules/table-state.js").tableState.getAll(context);
+    // States hold texts users typed into filters, so nothing in them may close the script
+    // element they are rendered into.
+    return {
+        states: stringify(states).replace(/</g, "\\u003c").replace(/>/g, "\\u003e")
+            .replace(/&/g, "\\u0026")
+    };
+}
\ No newline at end of file
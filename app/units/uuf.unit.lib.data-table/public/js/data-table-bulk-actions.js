@@ -0,0 +1,170 @@
+/**
+ * Bulk actions on the selected rows of a table of $.fn.datatables_extended. While rows are
+ * selected, an action bar shows how many are selected and a button per action. An action asks
+ * for confirmation if it has any, POSTs the IDs of the selected rows to its URI, reports the
+ * result of each row with UUF.notify toasts, and refreshes the table. Tables without an ajax
+ * source take their new rows from the page, fetched again, so that the toasts stay on screen.
+ *
+ * An action has a "label", an "icon" (font-wso2 name), an optional "confirm" text, in which {0}
+ * is the number of selected rows, and the "uri" to POST to. The URI receives "ids", the row IDs
+ * as a JSON array, and responds with {"results": [{"id": ..., "success": true|false,
+ * "message": ...}]}, see handleBulkAction of app/modules/data-table.js.
+ */
+(function ($) {
+
+    var ROW_SELECTED_CLASS = $.datatables_rows.selectedClass;
+    var MAX_FAILURE_TOASTS = 5;
+
+    var registered = {};
+
+    var confirmAction = function (text, onConfirm) {
+        var dialog = noty({
+            text: $('<div></div>').text(text).html(),
+            type: 'warning',
+            layout: 'center',
+            theme: 'wso2',
+            modal: true,
+            buttons: [
+                {
+                    addClass: 'btn btn-primary',
+                    text: $.i18n('table.bulk.confirm'),
+                    onClick: function () {
+                        dialog.close();
+                        onConfirm();
+                    }
+                },
+                {
+                    addClass: 'btn btn-default',
+                    text: $.i18n('table.bulk.cancel'),
+                    onClick: function () {
+                        dialog.close();
+                    }
+                }
+            ]
+        });
+    };
+
+    var report = function (action, results) {
+        var succeeded = $.grep(results, function (result) {
+            return result.success;
+        });
+        var failed = $.grep(results, function (result) {
+            return !result.success;
+        });
+        if (succeeded.length > 0) {
+            UUF.notify.success($.i18n('table.bulk.success', action.label, succeeded.length));
+        }
+        $.each(failed.slice(0, MAX_FAILURE_TOASTS), function (i, result) {
+            UUF.notify.error($.i18n('table.bulk.failure', action.label, result.id, result.message || ''));
+        });
+        if (failed.length > MAX_FAILURE_TOASTS) {
+            UUF.notify.error($.i18n('table.bulk.failure.more', failed.length - MAX_FAILURE_TOASTS));
+        }
+    };
+
+    var refresh = function (api) {
+        if (api.ajax.url()) {
+            api.ajax.reload(null, false);
+            return;
+        }
+        //Rows rendered on the server only change with the page, so swap in those of the same
+        //table in a fresh copy of it
+        var index = $('table').index(api.table().node());
+        $.ajax({
+            url: window.location.href,
+            dataType: 'html',
+            global: false
+        }).done(function (html) {
+            var rows = $('<div></div>').append($.parseHTML(html)).find('table').eq(index)
+                .children('tbody').children('tr');
+            api.clear().rows.add(rows.toArray()).draw(false);
+        }).fail(function () {
+            UUF.notify.error($.i18n('table.bulk.refresh-error'));
+        });
+    };
+
+    var run = function (api, action, ids) {
+        $.ajax({
+            url: action.uri,
+            type: 'POST',
+            data: {ids: JSON.stringify(ids)},
+            dataType: 'json'
+        }).done(function (response) {
+            report(action, (response && response.results) || []);
+        }).fail(function () {
+            UUF.notify.error($.i18n('table.bulk.error', action.label));
+        }).always(function () {
+            refresh(api);
+        });
+    };
+
+    $.datatables_bulk_actions = {
+
+        /**
+         * @description Register an action that tables can refer to by name in bulkActions
+         * @param  {String}     Name of the action
+         * @param  {Object}     Action with a label, icon, confirm text and URI
+         * @return {Null}
+         */
+        register: function (name, action) {
+            registered[name] = action;
+        },
+
+        /**
+         * @description Add the action bar for the selected rows to a table
+         * @param  {Object}     DataTables API instance
+         * @param  {Array}      Actions, or names of registered actions
+         * @param  {Object}     Options: rowIdSrc, the property of the row data holding the row ID
+         *                      when rows have no data-id attribute, "id" by default
+         * @return {Null}
+         */
+        attach: function (api, actions, options) {
+            var rowIdSrc = (options && options.rowIdSrc) || 'id';
+            var table = $(api.table().node());
+            var bar = $('<div class="bulk-actions-bar hidden"><span class="bulk-actions-count"></span></div>');
+
+            $.each(actions, function (i, action) {
+                action = (typeof action === 'string') ? registered[action] : action;
+                if (!action) {
+                    return;
+                }
+                $('<button class="btn btn-default"></button>')
+                    .append($('<i></i>').addClass('fw fw-' + (action.icon || 'check')), ' ',
+                            $('<span></span>').text(action.label))
+                    .appendTo(bar)
+                    .on('click', function () {
+                        var ids = $.datatables_rows.getSelectedIds(api, rowIdSrc);
+                        if (ids.length == 0) {
+                            return;
+                        }
+                        if (action.confirm) {
+                            confirmAction(action.confirm.replace('{0}', ids.length), function () {
+                                run(api, action, ids);
+                            });
+                        }
+                        else {
+                            run(api, action, ids);
+                        }
+                    });
+            });
+            $('<button class="btn btn-link"></button>').text($.i18n('table.bulk.clear')).appendTo(bar)
+                .on('click', function () {
+                    api.rows('.' + ROW_SELECTED_CLASS).nodes().to$().removeClass(ROW_SELECTED_CLASS);
+                    $(api.table().container()).find('[data-click-event=toggle-selected]')
+                        .data('all-selected', false).html($.i18n('table.select-all'));
+                    table.trigger('selection-change');
+                });
+            bar.insertAfter($(api.table().container()).find('.dataTablesTop'));
+
+            var update = function () {
+                var count = api.rows('.' + ROW_SELECTED_CLASS).nodes().length;
+                bar.toggleClass('hidden', count == 0)
+                    .find('.bulk-actions-count').text($.i18n('table.bulk.selected', count));
+            };
+            //Redrawn rows of server-side tables lose their selection
+            table.on('selection-change draw.dt', update);
+            update();
+        }
+    };
+
+}(jQuery));
@@ -0,0 +1,216 @@
+/**
+ * Inline cell editing for tables of $.fn.datatables_extended. Cells of editable columns turn into
+ * an input, or a select, on double-click or on Enter, and KeyTable moves between cells with the
+ * keyboard. Selects use select2 when the page includes uuf.unit.lib.select2, and values are
+ * validated with jQuery Validation rules when it includes uuf.unit.lib.form-validation.
+ *
+ * Columns are made editable with the "editable" option of the column, or with attributes on the
+ * header cell: data-editable (text, number, email or select), data-rules (JSON jQuery Validation
+ * rules) and data-options (JSON array of select options, as values or {value, text} objects).
+ *
+ * Changes are shown right away and POSTed to the edit URI with "id" (the row ID), "column" (the
+ * data source, or index, of the column) and "value". The URI responds with {"success": true}, or
+ * {"success": false, "message": ...}, see handleCellEdit of app/modules/data-table.js. Failed
+ * changes are rolled back in place, and the table is only redrawn, which reloads server-side
+ * tables, once a change is saved.
+ */
+(function ($) {
+
+    var EDITING_CLASS = 'cell-editing';
+
+    var parseJson = function (text) {
+        try {
+            return text ? $.parseJSON(text) : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    var getEditor = function (api, columnIndex) {
+        var column = api.settings()[0].aoColumns[columnIndex],
+            header = $(api.column(columnIndex).header());
+        //DataTables copies the data attributes of header cells into their column, so a string
+        //here is data-editable, which is read with the other attributes below
+        if ((column.editable === true) || $.isPlainObject(column.editable)) {
+            return (column.editable === true) ? {type: 'text'} : column.editable;
+        }
+        if (!header.attr('data-editable')) {
+            return null;
+        }
+        return {
+            type: header.attr('data-editable'),
+            rules: parseJson(header.attr('data-rules')),
+            options: parseJson(header.attr('data-options'))
+        };
+    };
+
+    //Index of a column before ColReorder moved it, so that the server can tell columns apart
+    var originalIndex = function (column, cell) {
+        return (column._ColReorder_iOrigCol !== undefined) ? column._ColReorder_iOrigCol : cell.index().column;
+    };
+
+    var buildInput = function (editor, value) {
+        if (editor.type == 'select') {
+            var select = $('<select name="value" class="form-control input-sm"></select>');
+            $.each(editor.options || [], function (i, option) {
+                var isObject = $.isPlainObject(option);
+                $('<option></option>').val(isObject ? option.value : option)
+                    .text(isObject ? option.text : option).appendTo(select);
+            });
+            return select.val(value);
+        }
+        var type = ($.inArray(editor.type, ['number', 'email']) >= 0) ? editor.type : 'text';
+        return $('<input name="value" class="form-control input-sm" />').attr('type', type).val(value);
+    };
+
+    $.datatables_editor = {
+
+        /**
+         * @description Make the editable columns of a table editable
+         * @param  {Object}     DataTables API instance
+         * @param  {Object}     Options: uri to save changes to, and rowIdSrc, the property of the
+         *                      row data holding the row ID when rows have no data-id attribute
+         * @return {Null}
+         */
+        attach: function (api, options) {
+            var rowIdSrc = options.rowIdSrc || 'id';
+            var table = $(api.table().node());
+            var keyTable = $.fn.dataTable.KeyTable ?
+                new $.fn.dataTable.KeyTable({table: api.table().node(), datatable: api.settings()[0], form: true}) :
+                null;
+
+            var save = function (cell, oldData, value) {
+                var row = api.row(cell.index().row),
+                    column = api.settings()[0].aoColumns[cell.index().column];
+                //Setting the data of a cell only rewrites its node. Drawing would reload a
+                //server-side table, so it waits until the server has the new value
+                var rollback = function (message) {
+                    cell.data(oldData);
+                    UUF.notify.error($.i18n('table.edit.error', message || ''));
+                };
+                $.ajax({
+                    url: options.uri,
+                    type: 'POST',
+                    data: {
+                        id: $.datatables_rows.getId(row, rowIdSrc),
+                        column: (typeof column.mData === 'string') ? column.mData : originalIndex(column, cell),
+                        value: value
+                    },
+                    dataType: 'json'
+                }).done(function (response) {
+                    if (!response || !response.success) {
+                        rollback(response && response.message);
+                        return;
+                    }
+                    //Sort and filter by the new value
+                    api.draw(false);
+                }).fail(function () {
+                    rollback();
+                });
+            };
+
+            var edit = function (node) {
+                var cell = api.cell(node);
+                if (!cell.index() || $(node).hasClass(EDITING_CLASS)) {
+                    return;
+                }
+                var editor = getEditor(api, cell.index().column);
+                if (!editor) {
+                    return;
+                }
+                var oldData = cell.data(),
+                    isHtml = !$.isPlainObject(api.row(cell.index().row).data()),
+                    oldValue = isHtml ? $.trim($(node).text()) : oldData;
+                var form = $('<form novalidate="novalidate"></form>'),
+                    input = buildInput(editor, oldValue).appendTo(form),
+                    done = false;
+
+                var finish = function (commit, leaving) {
+                    if (done) {
+                        return;
+                    }
+                    var value = input.val();
+                    if (commit && $.fn.validate && !form.valid()) {
+                        if (!leaving) {
+                            //The message shows under the input until the value is fixed
+                            input.focus();
+                            return;
+                        }
+                        //Leaving the cell gives up the change, rather than holding the focus
+                        var errors = form.validate().errorList;
+                        UUF.notify.warning($.i18n('table.edit.invalid', errors.length ? errors[0].message : ''));
+                        commit = false;
+                    }
+                    done = true;
+                    if (input.data('select2')) {
+                        input.select2('destroy');
+                    }
+                    $(node).removeClass(EDITING_CLASS);
+                    if (keyTable) {
+                        //Unblock after the key that ended the edit, or KeyTable would act on it too
+                        setTimeout(function () {
+                            keyTable.block = false;
+                        }, 0);
+                    }
+                    if (!commit || value == oldValue) {
+                        cell.data(oldData);
+                        return;
+                    }
+                    //Cells rendered on the server hold HTML, so keep the value as text
+                    cell.data(isHtml ? $('<div></div>').text(value).html() : value);
+                    save(cell, oldData, value);
+                };
+
+                if (keyTable) {
+                    keyTable.block = true;
+                }
+                $(node).addClass(EDITING_CLASS).empty().append(form);
+                if ($.fn.validate) {
+                    form.validate({rules: {value: editor.rules || {}}});
+                }
+                form.on('submit', function (e) {
+                    e.preventDefault();
+                    finish(true);
+                });
+                input.on('keydown', function (e) {
+                    if (e.keyCode == 27) {
+                        e.stopPropagation();
+                        finish(false);
+                    }
+                    else if (e.keyCode == 13) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        finish(true);
+                    }
+                });
+                if (editor.type == 'select' && $.fn.select2) {
+                    input.select2({dropdownAutoWidth: true})
+                        .on('select2:select', function () {
+                            finish(true);
+                        })
+                        .on('select2:close', function () {
+                            setTimeout(function () {
+                                finish(false);
+                            }, 0);
+                        });
+                    input.select2('open');
+                }
+                else {
+                    input.on('blur', function () {
+                        finish(true, true);
+                    }).focus();
+                }
+            };
+
+            table.on('dblclick', 'tbody td', function () {
+                edit(this);
+            });
+            if (keyTable) {
+                keyTable.event.action(null, null, function (node) {
+                    edit(node);
+                });
+            }
+        }
+    };
+
+}(jQuery));
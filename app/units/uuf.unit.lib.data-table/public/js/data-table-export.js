@@ -0,0 +1,134 @@
+/**
+ * Exports the rows of a DataTable to CSV, Excel or PDF for the export menu of
+ * $.fn.datatables_extended, without Flash. Files are written with the writers of
+ * js/data-table-formats.js and downloaded as blobs. Rows follow the current filters and order,
+ * and columns marked with the "no-export" class are left out. Server-side tables only hold the
+ * current page, so they export through an export URI instead, where the same writers run on the
+ * server, see app/modules/data-table.js.
+ */
+(function ($) {
+
+    var ROW_SELECTED_CLASS = $.datatables_rows.selectedClass;
+
+    /**
+     * Text of cell data, parsed in a separate document so that markup in the data is not run
+     */
+    var inertDocument = document.implementation.createHTMLDocument('');
+    var toText = function (data) {
+        var div = inertDocument.createElement('div');
+        div.innerHTML = (data === null || data === undefined) ? '' : String(data);
+        return $.trim(div.textContent || '');
+    };
+
+    /**
+     * @description Collect the headers and the rows to export
+     * @param  {Object}     DataTables API instance
+     * @param  {Boolean}    Whether to export only the selected rows
+     * @return {Object}     Headers and rows, as arrays of text
+     */
+    var collect = function (api, selectedOnly) {
+        var modifier = {search: 'applied', order: 'applied'};
+        var columns = $.grep(api.columns().indexes().toArray(), function (index) {
+            return api.column(index).visible() && !$(api.column(index).header()).hasClass('no-export');
+        });
+        var rows = selectedOnly ? api.rows('.' + ROW_SELECTED_CLASS, modifier) : api.rows(modifier);
+        return {
+            headers: $.map(columns, function (index) {
+                return $.trim($(api.column(index).header()).text());
+            }),
+            rows: $.map(rows.indexes().toArray(), function (row) {
+                return [$.map(columns, function (column) {
+                    var cell = api.cell(row, column);
+                    return cell.node() ? $.trim($(cell.node()).text()) : toText(cell.data());
+                })];
+            })
+        };
+    };
+
+    var download = function (content, contentType, fileName) {
+        var blob = new Blob([content], {type: contentType});
+        if (window.navigator.msSaveOrOpenBlob) {
+            window.navigator.msSaveOrOpenBlob(blob, fileName);
+            return;
+        }
+        var url = URL.createObjectURL(blob);
+        var link = $('<a></a>').attr({href: url, download: fileName}).appendTo('body');
+        link[0].click();
+        link.remove();
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    };
+
+    /**
+     * @description Post an export request to the export URI of a server-side table, as a form, so
+     *              that the browser downloads the response
+     * @param  {String}     Export URI
+     * @param  {Object}     Request parameters
+     * @return {Null}
+     */
+    var postExport = function (uri, params) {
+        var form = $('<form method="POST" class="hidden"></form>').attr('action', uri);
+        params._csrf = $('meta[name="csrf-token"]').attr('content');
+        //Nested parameters, like the columns of the table request, in the names jQuery gives them
+        $.each($.param(params).split('&'), function (i, pair) {
+            var parts = pair.split('=');
+            var decode = function (text) {
+                return decodeURIComponent((text || '').replace(/\+/g, ' '));
+            };
+            $('<input type="hidden" />').attr('name', decode(parts[0])).val(decode(parts[1]))
+                .appendTo(form);
+        });
+        form.appendTo('body').submit();
+        setTimeout(function () {
+            form.remove();
+        }, 1000);
+    };
+
+    $.datatables_export = {
+
+        formats: dataTableFormats.names,
+
+        collect: collect,
+
+        /**
+         * @description Export the rows of a table
+         * @param  {Object}     DataTables API instance
+         * @param  {String}     csv, excel or pdf
+         * @param  {Object}     Options: fileName without extension, selectedOnly, exportUri to
+         *                      export a server-side table through the server, and rowIdSrc, the
+         *                      property of the row data holding the row ID
+         * @return {Boolean}    False if the export could not be started
+         */
+        run: function (api, format, options) {
+            options = options || {};
+            var fileName = options.fileName || 'export';
+            if (!dataTableFormats.exists(format)) {
+                return false;
+            }
+            if (options.exportUri) {
+                //Last request of the table carries its filters and order
+                var params = $.extend({}, api.ajax.params(), {format: format, fileName: fileName});
+                if (options.selectedOnly) {
+                    var ids = $.datatables_rows.getSelectedIds(api, options.rowIdSrc);
+                    if (ids.length == 0) {
+                        return false;
+                    }
+                    params.ids = JSON.stringify(ids);
+                }
+                postExport(options.exportUri, params);
+                return true;
+            }
+            var table = collect(api, options.selectedOnly);
+            var writer = dataTableFormats.createWriter(format, {title: fileName});
+            var content = writer.start(table.headers);
+            $.each(table.rows, function (i, row) {
+                content += writer.row(row);
+            });
+            content += writer.end();
+            download(content, writer.contentType, fileName + writer.extension);
+            return true;
+        }
+    };
+
+}(jQuery));
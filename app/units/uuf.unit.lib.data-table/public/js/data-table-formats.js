@@ -0,0 +1,257 @@
+/**
+ * Writers of the data table export formats, shared by the export menu in the browser
+ * (js/data-table-export.js) and by sendExport of app/modules/data-table.js on the server, so that
+ * both produce the same files. A writer returns consecutive parts of the file from its start,
+ * row and end functions, so that the server can stream exports of any size. This file must not
+ * depend on jQuery or on the browser.
+ */
+var dataTableFormats = function () {
+
+    var publicMethods = {};
+
+    var escapeXml = function (text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    };
+
+    var NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+    var csv = function () {
+        var line = function (cells) {
+            return cells.map(function (text) {
+                text = String(text);
+                // Keep spreadsheets from evaluating cells as formulas, but leave numbers such as
+                // -5 or +1e3 alone, which spreadsheets read as plain values.
+                if (/^[=+\-@\t\r]/.test(text) && !NUMBER.test(text)) {
+                    text = "'" + text;
+                }
+                return "\"" + text.replace(/"/g, "\"\"") + "\"";
+            }).join(",");
+        };
+        return {
+            contentType: "text/csv; charset=UTF-8",
+            extension: ".csv",
+            start: function (headers) {
+                // Byte order mark, so that Excel reads the file as UTF-8.
+                return "\ufeff" + line(headers);
+            },
+            row: function (cells) {
+                return "\r\n" + line(cells);
+            },
+            end: function () {
+                return "";
+            }
+        };
+    };
+
+    var excel = function () {
+        var row = function (cells) {
+            return "<Row>" + cells.map(function (text) {
+                return "<Cell><Data ss:Type=\"String\">" + escapeXml(text) + "</Data></Cell>";
+            }).join("") + "</Row>";
+        };
+        return {
+            contentType: "application/vnd.ms-excel; charset=UTF-8",
+            extension: ".xls",
+            start: function (headers) {
+                return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                       "<?mso-application progid=\"Excel.Sheet\"?>" +
+                       "<Workbook xmlns=\"urn:schemas-microsoft-com:office:spreadsheet\" " +
+                       "xmlns:ss=\"urn:schemas-microsoft-com:office:spreadsheet\">" +
+                       "<Worksheet ss:Name=\"Sheet1\"><Table>" + row(headers);
+            },
+            row: row,
+            end: function () {
+                return "</Table></Worksheet></Workbook>";
+            }
+        };
+    };
+
+    // Codes of the characters outside Latin-1 that WinAnsiEncoding has.
+    var WIN_ANSI = {
+        0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+        0x2021: 0x87, 0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c,
+        0x017d: 0x8e, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95,
+        0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b,
+        0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+    };
+
+    /**
+     * PDF string literal of a text in WinAnsiEncoding. Characters the standard fonts cannot show
+     * become "?", and everything outside ASCII is written as an octal escape, so that the whole
+     * file is ASCII and its byte offsets are the lengths of the strings written.
+     */
+    var toPdfString = function (text) {
+        var literal = "";
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i);
+            if ((code == 0x28) || (code == 0x29) || (code == 0x5c)) {
+                literal += "\\" + text.charAt(i);
+            } else if ((code >= 0x20) && (code < 0x7f)) {
+                literal += text.charAt(i);
+            } else if ((code >= 0xa0) && (code <= 0xff)) {
+                literal += "\\" + code.toString(8);
+            } else if (WIN_ANSI.hasOwnProperty(code)) {
+                literal += "\\" + WIN_ANSI[code].toString(8);
+            } else {
+                literal += /\s/.test(text.charAt(i)) ? " " : "?";
+            }
+        }
+        return "(" + literal + ")";
+    };
+
+    var PDF_PAGE_WIDTH = 842;
+    var PDF_PAGE_HEIGHT = 595;
+    var PDF_MARGIN = 36;
+    var PDF_FONT_SIZE = 8;
+    var PDF_LINE_HEIGHT = 14;
+    // Rough width of a Helvetica character in ems, to shorten texts that overflow their column.
+    var PDF_CHARACTER_WIDTH = 0.55;
+
+    /**
+     * A4 landscape pages with the title and the column headers on top of each, and the rows in
+     * equally wide columns. Texts too long for their column are shortened.
+     */
+    var pdf = function (options) {
+        var title = String(options.title || "");
+        var offsets = [];
+        var position = 0;
+        var headers = [];
+        var rows = [];
+        var pageIds = [];
+        // Objects 1 to 4 are the catalog, the page tree and the two fonts.
+        var nextId = 5;
+
+        var headerY = PDF_PAGE_HEIGHT - PDF_MARGIN - 2 * PDF_LINE_HEIGHT;
+        var rowsPerPage = Math.floor((headerY - PDF_LINE_HEIGHT - PDF_MARGIN) / PDF_LINE_HEIGHT);
+
+        var write = function (text) {
+            position += text.length;
+            return text;
+        };
+
+        var writeObject = function (id, body) {
+            offsets[id] = position;
+            return write(id + " 0 obj\n" + body + "\nendobj\n");
+        };
+
+        var textAt = function (font, size, x, y, text) {
+            return "BT /" + font + " " + size + " Tf " + x + " " + y + " Td " +
+                   toPdfString(text) + " Tj ET\n";
+        };
+
+        var line = function (cells, font, y) {
+            var width = (PDF_PAGE_WIDTH - 2 * PDF_MARGIN) / Math.max(cells.length, 1);
+            var maxLength = Math.floor((width - 6) / (PDF_FONT_SIZE * PDF_CHARACTER_WIDTH));
+            return cells.map(function (cell, i) {
+                var text = String(cell).replace(/\s+/g, " ");
+                if (text.length > maxLength) {
+                    text = text.substring(0, Math.max(maxLength - 3, 0)) + "...";
+                }
+                var x = (PDF_MARGIN + i * width).toFixed(2);
+                // Clipped to the column, as the shortening above is only an estimate.
+                return "q " + x + " " + (y - 4) + " " + width.toFixed(2) + " " +
+                       PDF_LINE_HEIGHT + " re W n\n" +
+                       textAt(font, PDF_FONT_SIZE, (Number(x) + 3).toFixed(2), y, text) + "Q\n";
+            }).join("");
+        };
+
+        var writePage = function () {
+            var content = textAt("F2", 12, PDF_MARGIN, headerY + PDF_LINE_HEIGHT + 4, title) +
+                          line(headers, "F2", headerY) +
+                          "0.5 w " + PDF_MARGIN + " " + (headerY - 4) + " m " +
+                          (PDF_PAGE_WIDTH - PDF_MARGIN) + " " + (headerY - 4) + " l S\n";
+            for (var i = 0; i < rows.length; i++) {
+                content += line(rows[i], "F1", headerY - (i + 1) * PDF_LINE_HEIGHT);
+            }
+            content += textAt("F1", PDF_FONT_SIZE, PDF_PAGE_WIDTH / 2, PDF_MARGIN / 2,
+                              String(pageIds.length + 1));
+            rows = [];
+            var contentId = nextId++, pageId = nextId++;
+            pageIds.push(pageId);
+            return writeObject(contentId, "<< /Length " + content.length + " >>\nstream\n" +
+                                          content + "endstream") +
+                   writeObject(pageId, "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " +
+                                       PDF_PAGE_WIDTH + " " + PDF_PAGE_HEIGHT + "] " +
+                                       "/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> " +
+                                       "/Contents " + contentId + " 0 R >>");
+        };
+
+        return {
+            contentType: "application/pdf",
+            extension: ".pdf",
+            start: function (headerCells) {
+                headers = headerCells;
+                return write("%PDF-1.4\n") +
+                       writeObject(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica " +
+                                      "/Encoding /WinAnsiEncoding >>") +
+                       writeObject(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold " +
+                                      "/Encoding /WinAnsiEncoding >>");
+            },
+            row: function (cells) {
+                rows.push(cells);
+                return (rows.length == rowsPerPage) ? writePage() : "";
+            },
+            end: function () {
+                var out = ((rows.length > 0) || (pageIds.length == 0)) ? writePage() : "";
+                out += writeObject(2, "<< /Type /Pages /Kids [" + pageIds.map(function (id) {
+                    return id + " 0 R";
+                }).join(" ") + "] /Count " + pageIds.length + " >>");
+                out += writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+                var xrefPosition = position;
+                var xref = "xref\n0 " + nextId + "\n0000000000 65535 f \n";
+                for (var id = 1; id < nextId; id++) {
+                    xref += ("000000000" + offsets[id]).slice(-10) + " 00000 n \n";
+                }
+                return out + write(xref + "trailer\n<< /Size " + nextId + " /Root 1 0 R >>\n" +
+                                   "startxref\n" + xrefPosition + "\n%%EOF\n");
+            }
+        };
+    };
+
+    var FORMATS = {csv: csv, excel: excel, pdf: pdf};
+
+    /**
+     * Names of the export formats.
+     */
+    publicMethods.names = ["csv", "excel", "pdf"];
+
+    /**
+     * @param format {string} csv, excel or pdf
+     * @return {boolean} true if the format exists
+     */
+    publicMethods.exists = function (format) {
+        return FORMATS.hasOwnProperty(format);
+    };
+
+    /**
+     * Creates a writer for one file. Its start(headers) function returns the beginning of the
+     * file, row(cells) the part for each row, and end() the rest of the file, where headers and
+     * cells are arrays of text. The parts must be written out in the order they are returned.
+     * @param format {string} csv, excel or pdf
+     * @param options {Object} "title" of PDF files
+     * @return {Object} writer, with the "contentType" and the file "extension" of the format
+     */
+    publicMethods.createWriter = function (format, options) {
+        return FORMATS[format](options || {});
+    };
+
+    /**
+     * Writes a whole file at once.
+     * @param format {string} csv, excel or pdf
+     * @param headers {Array} column headers
+     * @param rows {Array} rows, as arrays of text
+     * @param options {Object} "title" of PDF files
+     * @return {string} content of the file
+     */
+    publicMethods.write = function (format, headers, rows, options) {
+        var writer = publicMethods.createWriter(format, options);
+        var content = writer.start(headers);
+        for (var i = 0; i < rows.length; i++) {
+            content += writer.row(rows[i]);
+        }
+        return content + writer.end();
+    };
+
+    return publicMethods;
+}();
@@ -0,0 +1,47 @@
+/**
+ * Row helpers shared by the export menu, the bulk actions and the inline editor of
+ * $.fn.datatables_extended, so that they agree on which rows are selected and on their IDs.
+ */
+(function ($) {
+
+    var ROW_SELECTED_CLASS = 'DTTT_selected';
+
+    $.datatables_rows = {
+
+        selectedClass: ROW_SELECTED_CLASS,
+
+        /**
+         * @description ID of a row, from its data-id attribute, or else from its data
+         * @param  {Object}     DataTables row API instance
+         * @param  {String}     Property of the row data holding the row ID, "id" by default
+         * @return {String}     Row ID, or null if the row has none
+         */
+        getId: function (row, rowIdSrc) {
+            rowIdSrc = rowIdSrc || 'id';
+            var id = $(row.node()).attr('data-id');
+            if (id === undefined) {
+                var data = row.data();
+                id = $.isPlainObject(data) ? (data[rowIdSrc] !== undefined ? data[rowIdSrc] : data.DT_RowId) : undefined;
+            }
+            return (id === undefined || id === null) ? null : String(id);
+        },
+
+        /**
+         * @description IDs of the selected rows of a table
+         * @param  {Object}     DataTables API instance
+         * @param  {String}     Property of the row data holding the row ID, "id" by default
+         * @return {Array}      Row IDs, leaving out rows without one
+         */
+        getSelectedIds: function (api, rowIdSrc) {
+            var ids = [];
+            api.rows('.' + ROW_SELECTED_CLASS).every(function () {
+                var id = $.datatables_rows.getId(this, rowIdSrc);
+                if (id !== null) {
+                    ids.push(id);
+                }
+            });
+            return ids;
+        }
+    };
+
+}(jQuery));
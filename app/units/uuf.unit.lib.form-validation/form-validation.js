@@ -0,0 +1,16 @@
+var LOCALIZATION_DIRECTORY = "lib/jquery-validation_1.14.0/localization/";
+
+function onRequest(context) {
+    var i18n = require("/app/modules/i18n.js").i18n;
+    var locale = i18n.getLocale(context);
+    // Bundled file names use underscores, e.g. messages_pt_BR.js; try the language alone next.
+    var candidates = [locale.replace(/-/g, "_"), locale.split("-")[0]];
+    for (var i = 0; i < candidates.length; i++) {
+        var messagesFile = LOCALIZATION_DIRECTORY + "messages_" + candidates[i] + ".min.js";
+        if (new File("/app/units/uuf.unit.lib.form-validation/public/" + messagesFile).isExists()) {
+            return {messagesFile: messagesFile};
+        }
+    }
+    // English messages are built into jquery.validate.js.
+    return {messagesFile: null};
+}
\ No newline at end of file
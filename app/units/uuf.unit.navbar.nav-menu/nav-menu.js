@@ -0,0 +1,6 @@
+function onRequest(context) {
+    var permissions = require("/app/modules/permissions.js").permissions;
+    return {
+        permitted: permissions.isPermitted(context, "uuf.unit.navbar.nav-menu")
+    };
+}
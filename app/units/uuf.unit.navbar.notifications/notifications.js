@@ -0,0 +1,28 @@
+function onRequest(context) {
+    var permissions = require("/app/modules/permissions.js").permissions;
+    var notifications = require("/app/modules/notifications.js").notifications;
+    if (!permissions.isPermitted(context, "uuf.unit.navbar.notifications")) {
+        return {permitted: false};
+    }
+    var configs = notifications.getConfigs(context);
+    var latest = notifications.list(context, parseInt(configs["paneSize"]));
+    return {
+        permitted: true,
+        unreadCount: latest.unreadCount,
+        items: latest.notifications.map(function (notification) {
+            return {
+                id: "_uuf-notification-" + notification.id,
+                notificationId: notification.id,
+                type: notification.type,
+                title: notification.title,
+                message: notification.message,
+                unread: !notification.read
+            };
+        }),
+        paneSize: configs["paneSize"],
+        pollInterval: configs["pollInterval"],
+        push: configs["push"],
+        // Notifications added after this page was rendered are pushed.
+        since: notifications.getLastSequence(context)
+    };
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Pushes new notifications into the notifications pane as they arrive, over Server-Sent Events,
+ * or over a WebSocket when a WebSocket URI is configured and EventSource is missing or the stream
+ * turns the browser away. Lost connections are retried with exponential backoff, and polling takes
+ * over while there is no connection. Each new notification can also pop up a toast.
+ */
+$(document).ready(function(){
+    var pane = $("#_uuf-notifications-pane");
+    if ((pane.length == 0) || (pane.attr("data-push-enabled") != "true")) {
+        return;
+    }
+    var streamUri = pane.attr("data-stream-uri"),
+        webSocketUri = pane.attr("data-web-socket-uri"),
+        toastEnabled = (pane.attr("data-push-toast") == "true"),
+        initialDelay = parseInt(pane.attr("data-reconnect-delay")) * 1000,
+        maxDelay = parseInt(pane.attr("data-max-reconnect-delay")) * 1000,
+        since = parseInt(pane.attr("data-since"));
+    var delay = initialDelay,
+        reconnectTimer = null;
+    var toastTypes = {success: "success", info: "info", warning: "warning", danger: "error"};
+
+    var setConnected = function (connected) {
+        pane.attr("data-push-connected", connected ? "true" : "false");
+    };
+
+    var toast = function (notification) {
+        if (!toastEnabled) {
+            return;
+        }
+        UUF.notify.show(toastTypes[notification.type], notification.message,
+                        {title: notification.title});
+    };
+
+    var receive = function (data) {
+        if (data.notification.sequence <= since) {
+            //Already shown, as a WebSocket can get a notification twice while connecting
+            return;
+        }
+        since = data.notification.sequence;
+        pane.trigger("notification", [data.notification, data.unreadCount]);
+        toast(data.notification);
+    };
+
+    var reconnect = function (connect) {
+        setConnected(false);
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, maxDelay);
+    };
+
+    var connectEventSource = function () {
+        var source = new EventSource(streamUri + "?since=" + encodeURIComponent(since));
+        source.onopen = function () {
+            delay = initialDelay;
+            setConnected(true);
+        };
+        source.addEventListener("notification", function (e) {
+            receive($.parseJSON(e.data));
+        });
+        source.onerror = function () {
+            // The server ends each response after a while and EventSource reconnects by itself,
+            // sending the last event ID. Only a closed source needs to be reopened, which happens
+            // when the server is busy with too many streams, so the WebSocket is tried instead.
+            if (source.readyState == EventSource.CLOSED) {
+                reconnect(canUseWebSocket() ? connectWebSocket : connectEventSource);
+            }
+        };
+    };
+
+    var canUseWebSocket = function () {
+        return !!(window.WebSocket && webSocketUri);
+    };
+
+    var connectWebSocket = function () {
+        var uri = webSocketUri;
+        if (uri.charAt(0) == "/") {
+            uri = ((window.location.protocol == "https:") ? "wss://" : "ws://") +
+                  window.location.host + uri;
+        }
+        var socket = new WebSocket(uri + "?since=" + encodeURIComponent(since));
+        socket.onopen = function () {
+            delay = initialDelay;
+            setConnected(true);
+        };
+        socket.onmessage = function (e) {
+            receive($.parseJSON(e.data));
+        };
+        socket.onclose = function () {
+            // The server sends the notifications missed meanwhile on reconnecting.
+            reconnect(connectWebSocket);
+        };
+    };
+
+    if (window.EventSource) {
+        connectEventSource();
+    } else if (canUseWebSocket()) {
+        connectWebSocket();
+    }
+});
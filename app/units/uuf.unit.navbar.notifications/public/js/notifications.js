@@ -0,0 +1,98 @@
+/**
+ * Keeps the notifications pane up to date by polling the notifications API, and handles the
+ * mark as read and delete actions. Polls are not global AJAX requests, so they do not count as
+ * activity for the session timeout warning. Trigger "refresh" on the pane to update it at once,
+ * or "notification" with a notification and the new unread count to add one. Polling pauses
+ * while the pane is marked with data-push-connected="true".
+ */
+$(document).ready(function(){
+    var pane = $("#_uuf-notifications-pane");
+    if (pane.length == 0) {
+        return;
+    }
+    var apiUri = pane.attr("data-api-uri"),
+        paneSize = parseInt(pane.attr("data-pane-size")),
+        pollInterval = parseInt(pane.attr("data-poll-interval")) * 1000;
+    var icons = {success: "ok", info: "info", warning: "warning", danger: "error"};
+
+    // Mirrors the markup of uuf.unit.message.notification.
+    var renderItem = function (notification) {
+        var item = $('<li class="message"></li>')
+            .attr("id", "_uuf-notification-" + notification.id)
+            .attr("data-notification-id", notification.id)
+            .addClass("message-" + notification.type)
+            .toggleClass("unread", !notification.read);
+        var icon = $('<i class="icon fw"></i>').addClass("fw-" + (icons[notification.type] || "ok"));
+        $("<h4></h4>")
+            .append(icon)
+            .append(document.createTextNode(" " + notification.title))
+            .appendTo(item);
+        $("<p></p>").text(notification.message).appendTo(item);
+        var actions = $('<p class="notification-actions"></p>').appendTo(item);
+        if (!notification.read) {
+            $('<a href="#" data-notification-action="read"></a>')
+                .text($.i18n("notifications.mark-read")).appendTo(actions);
+        }
+        $('<a href="#" data-notification-action="delete"></a>')
+            .text($.i18n("notifications.delete")).appendTo(actions);
+        return item;
+    };
+
+    var render = function (data) {
+        $("#_uuf-notifications-count").text(data.unreadCount);
+        var list = $("#_uuf-notifications-list").empty();
+        if (data.notifications.length == 0) {
+            $('<li class="message message-empty"></li>')
+                .text($.i18n("notifications.empty")).appendTo(list);
+        }
+        $.each(data.notifications, function (index, notification) {
+            list.append(renderItem(notification));
+        });
+    };
+
+    var call = function (method, data) {
+        return $.ajax({
+            url: apiUri,
+            type: method,
+            data: $.extend({limit: paneSize}, data),
+            dataType: "json",
+            global: false
+        }).done(render);
+    };
+
+    var refresh = function () {
+        return call("GET");
+    };
+
+    pane.on("refresh", refresh);
+
+    pane.on("notification", function (e, notification, unreadCount) {
+        var list = $("#_uuf-notifications-list");
+        list.children(".message-empty").remove();
+        list.prepend(renderItem(notification));
+        list.children().slice(paneSize).remove();
+        $("#_uuf-notifications-count").text(unreadCount);
+    });
+
+    pane.on("click", "[data-notification-action]", function (e) {
+        e.preventDefault();
+        call("POST", {
+            action: $(this).attr("data-notification-action"),
+            id: $(this).closest("[data-notification-id]").attr("data-notification-id")
+        });
+    });
+
+    $("#_uuf-notifications-read-all").click(function (e) {
+        e.preventDefault();
+        call("POST", {action: "read-all"});
+    });
+
+    if (pollInterval > 0) {
+        setInterval(function () {
+            // Skip polls while the page is in a background tab or notifications are pushed.
+            if (!document.hidden && (pane.attr("data-push-connected") != "true")) {
+                refresh();
+            }
+        }, pollInterval);
+    }
+});
@@ -0,0 +1,9 @@
+function onRequest(context) {
+    var permissions = require("/app/modules/permissions.js").permissions;
+    var i18n = require("/app/modules/i18n.js").i18n;
+    return {
+        permitted: permissions.isPermitted(context, "uuf.unit.navbar.toggle-menu.right"),
+        // Mirrored for right to left locales.
+        side: (i18n.getDirection(context) == "rtl") ? "left" : "right"
+    };
+}
@@ -0,0 +1,6 @@
+function onRequest(context) {
+    // Pushed to every page and rendered first, so that no page needs to enforce its declared
+    // permissions on its own.
+    require("/app/modules/permissions.js").permissions.enforceCurrentPage(context);
+    return {};
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Warns the user before the session expires, and signs out when it does. Any AJAX request other
+ * than the keep-alive call itself extends the session, so it restarts the countdown too. Tabs of
+ * the app share the time of their last request through localStorage, so that a tab left idle does
+ * not sign out a user who is active in another one.
+ */
+$(document).ready(function(){
+    var settings = $("#_uuf-session-timeout");
+    var timeout = parseInt(settings.attr("data-timeout")) * 1000,
+        warningTime = parseInt(settings.attr("data-warning-time")) * 1000,
+        keepAliveUri = settings.attr("data-keep-alive-uri"),
+        signOutUri = settings.attr("data-sign-out-uri"),
+        storageKey = "uuf-session-activity:" + keepAliveUri;
+    var warningTimer = null,
+        countdownTimer = null,
+        dialog = null,
+        activityTime = new Date().getTime();
+
+    /**
+     * @description Time of the last request to the server made by any tab of the app
+     * @return {Number}     Time in milliseconds
+     */
+    var getActivityTime = function () {
+        var shared = null;
+        try {
+            shared = parseInt(localStorage.getItem(storageKey));
+        } catch (e) {
+            //Storage is disabled, so each tab counts down on its own
+        }
+        return Math.max(activityTime, shared || 0);
+    };
+
+    var signOut = function () {
+        clearTimeout(warningTimer);
+        clearInterval(countdownTimer);
+        var form = $('<form method="POST" class="hidden"></form>').attr("action", signOutUri);
+        $('<input type="hidden" name="_csrf" />')
+            .val($('meta[name="csrf-token"]').attr("content")).appendTo(form);
+        $('<input type="hidden" name="referer" />')
+            .val(window.location.pathname + window.location.search).appendTo(form);
+        form.appendTo("body").submit();
+    };
+
+    var closeDialog = function () {
+        clearInterval(countdownTimer);
+        if (dialog) {
+            dialog.close();
+            dialog = null;
+        }
+    };
+
+    var schedule = function () {
+        closeDialog();
+        clearTimeout(warningTimer);
+        activityTime = getActivityTime();
+        warningTimer = setTimeout(showWarning,
+                                  activityTime + timeout - warningTime - new Date().getTime());
+    };
+
+    var recordActivity = function () {
+        activityTime = new Date().getTime();
+        try {
+            localStorage.setItem(storageKey, String(activityTime));
+        } catch (e) {
+            //Storage is disabled, so each tab counts down on its own
+        }
+        schedule();
+    };
+
+    var keepAlive = function () {
+        closeDialog();
+        $.post(keepAliveUri).done(recordActivity).fail(signOut);
+    };
+
+    var showWarning = function () {
+        if (getActivityTime() > activityTime) {
+            //Another tab has extended the session meanwhile
+            schedule();
+            return;
+        }
+        var remaining = Math.round((activityTime + timeout - new Date().getTime()) / 1000);
+        dialog = noty({
+            text: $.i18n("session-timeout.warning",
+                         '<strong id="_uuf-session-timeout-countdown">' + remaining + '</strong>'),
+            type: "warning",
+            layout: "center",
+            theme: "wso2",
+            modal: true,
+            closeWith: [],
+            buttons: [
+                {
+                    addClass: "btn btn-primary",
+                    text: $.i18n("session-timeout.stay"),
+                    onClick: keepAlive
+                },
+                {
+                    addClass: "btn btn-default",
+                    text: $.i18n("session-timeout.sign-out"),
+                    onClick: signOut
+                }
+            ]
+        });
+        countdownTimer = setInterval(function () {
+            if (getActivityTime() > activityTime) {
+                schedule();
+                return;
+            }
+            remaining--;
+            $("#_uuf-session-timeout-countdown").text(remaining);
+            if (remaining <= 0) {
+                signOut();
+            }
+        }, 1000);
+    };
+
+    $(document).ajaxComplete(function (event, xhr, ajaxSettings) {
+        if (!dialog && (ajaxSettings.url != keepAliveUri)) {
+            recordActivity();
+        }
+    });
+
+    $(window).on("storage", function (event) {
+        if (event.originalEvent.key === storageKey) {
+            schedule();
+        }
+    });
+
+    //Loading this page has extended the session as well
+    recordActivity();
+});
@@ -0,0 +1,20 @@
+function onRequest(context) {
+    var configs = context.app.conf["sessionTimeout"];
+    if (!configs || (configs["enabled"].toString() != "true")) {
+        return {enabled: false};
+    }
+    var timeout = parseInt(configs["timeout"]);
+    if (timeout > 0) {
+        session.maxInactive = timeout;
+    } else {
+        // Timeout is not configured, so use the one of the server.
+        timeout = session.maxInactive;
+    }
+    var utility = require("/app/modules/utility.js").utility;
+    return {
+        enabled: true,
+        signOutUri: utility.getPageUri(context, context.app.conf["logoutPage"]),
+        timeout: timeout,
+        warningTime: Math.min(parseInt(configs["warningTime"]) || 60, timeout)
+    };
+}
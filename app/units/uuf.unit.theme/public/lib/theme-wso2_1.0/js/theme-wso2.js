@@ -215,21 +215,124 @@ var responsiveTextRatio = 0.2,
 
     };
 
+    /**
+     * @description State the signed in user saved for a data table, from the states rendered by
+     *              uuf.unit.lib.data-table
+     * @param  {String}     Table id
+     * @return {Object}     State, or null if the server has none
+     */
+    var getSavedTableState = function(tableId){
+        try {
+            var states = JSON.parse($('#_uuf-data-table-states').text() || '{}');
+            return states[tableId] || null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * @description State saving settings of a data table, keyed by the table id. The state is
+     *              saved for the signed in user through the table state URI rendered by
+     *              uuf.unit.lib.data-table, and in localStorage under the name of the user, which
+     *              is used when it is newer than the state on the server, or the server has none,
+     *              e.g. for anonymous users
+     * @param  {Object}     Table element with an id
+     * @return {Object}     DataTables settings
+     */
+    var tableStateSettings = function(elem){
+        var STATE_SAVE_DELAY = 1000;
+        var tableId = elem.attr('id'),
+            stateUri = $('#_uuf-data-table').attr('data-state-uri'),
+            user = $('#_uuf-data-table').attr('data-user') || '',
+            //Users signing in one after the other on a shared browser keep their own state
+            storageKey = 'uuf-table-state:' + user + ':' + tableId,
+            serverState = getSavedTableState(tableId),
+            //The save time changes on every draw, so it is left out when looking for changes
+            lastSaved = serverState ? JSON.stringify($.extend({}, serverState, {time: null})) : null,
+            saveTimer;
+
+        return {
+            stateSave: true,
+            stateDuration: 0,
+            stateSaveParams: function(tableSettings, data){
+                data.view = elem.hasClass('grid-view') ? 'grid' : 'list';
+            },
+            stateSaveCallback: function(tableSettings, data){
+                try {
+                    localStorage.setItem(storageKey, JSON.stringify(data));
+                } catch (e) {
+                    //Storage is full or disabled, the server copy still applies
+                }
+                if (!stateUri) {
+                    return;
+                }
+                //Tables save on every draw, so only send the state once it settles, and if it changed
+                clearTimeout(saveTimer);
+                saveTimer = setTimeout(function(){
+                    var compared = JSON.stringify($.extend({}, data, {time: null}));
+                    if (compared === lastSaved) {
+                        return;
+                    }
+                    lastSaved = compared;
+                    $.ajax({
+                        url: stateUri,
+                        type: 'POST',
+                        data: {table: tableId, state: JSON.stringify(data)},
+                        global: false
+                    });
+                }, STATE_SAVE_DELAY);
+            },
+            stateLoadCallback: function(){
+                var localState = null;
+                try {
+                    localState = JSON.parse(localStorage.getItem(storageKey));
+                } catch (e) {
+                    //Storage is disabled, the server copy still applies
+                }
+                if (serverState && !(localState && localState.time > serverState.time)) {
+                    return serverState;
+                }
+                return localState;
+            }
+        };
+    };
+
     /**
      * Data tables extended functionality wrapper
-     * @param  {Object} settings Settings to override the defaults data tables behaviour
+     * @param  {Object}     settings                    Settings to override the defaults data tables behaviour
+     * @param  {Boolean}    settings.serverSide         With ajax set, leave paging, ordering and searching, including the .filter-row inputs, to the server
+     * @param  {String}     settings.distinctValuesUri  URI to load the options of select filters of server-side tables from (see app/modules/data-table.js)
+     * @param  {Boolean}    settings.columnToggle       False to leave out the column show/hide menu
+     * @param  {Boolean}    settings.exportable         False to leave out the export menu
+     * @param  {String}     settings.exportFileName     Name of exported files, the table id by default
+     * @param  {String}     settings.exportUri          URI to export server-side tables from, without which they have no export menu
+     * @param  {Boolean}    settings.stateSave          True to keep the state of a table with an id across page loads (see tableStateSettings)
+     * @param  {Array}      settings.bulkActions        Actions offered for the selected rows, as names registered with $.datatables_bulk_actions.register or as actions
+     * @param  {String}     settings.editUri            URI to save cells of editable columns to, which are then edited in place (see $.datatables_editor)
+     * @param  {String}     settings.rowIdSrc           Property of the row data holding the row ID, "id" by default
      * @return {Null}
      */
     $.fn.datatables_extended = function(settings){
 
         var elem = $(this);
+        var serverSide = !!(settings && settings.serverSide),
+            distinctValuesUri = settings && settings.distinctValuesUri;
+        var SERVER_SEARCH_DELAY = 400;
+
+        //Header cells of hidden columns leave the DOM, so keep them by original column index
+        var filterCells = $('.filter-row th', elem).toArray(),
+            sortCells = $('.sort-row th', elem).toArray();
+
+        var stateSave = !!(elem.attr('id') && settings && settings.stateSave === true);
 
         $(elem).DataTable(
-            $.extend({},{
+            $.extend({}, serverSide ? {processing: true, searchDelay: SERVER_SEARCH_DELAY} : {},
+                    stateSave ? tableStateSettings(elem) : {}, {
                 bSortCellsTop: true,
                 responsive: false,
                 autoWidth: false,
-                dom:'<"dataTablesTop"' +
+                dom:($.fn.dataTable.ColReorder ? 'R' : '') +
+                    '<"dataTablesTop"' +
                         'f' +
                         '<"dataTables_toolbar">' +
                     '>' +
@@ -238,23 +341,40 @@ var responsiveTextRatio = 0.2,
                         'lip' +
                     '>',
                 language: {
-                    searchPlaceholder: 'Filter by ...',
+                    searchPlaceholder: $.i18n('table.filter'),
                     search: ''
                 },
                 initComplete: function(){
 
                     var ROW_SELECTED_CLASS = 'DTTT_selected';
 
-                    this.api().columns().every(function(){
+                    var api = this.api(),
+                        colReorder = api.settings()[0]._colReorder;
+                    var originalIndex = function(index){
+                        return colReorder ? colReorder.fnOrder()[index] : index;
+                    };
+                    var currentIndex = function(original){
+                        return colReorder ? $.inArray(original, colReorder.fnOrder()) : original;
+                    };
+
+                    api.columns().every(function(){
 
                         var column = this;
-                        var filterColumn = $('.filter-row th', elem);
+                        var filterCell = $(filterCells[originalIndex(column.index())]);
+                        //Search restored from the saved state, without the exact match pattern of select filters
+                        var savedSearch = serverSide ? column.search() :
+                            column.search().replace(/^\^|\$$/g, '').replace(/\\(.)/g, '$1');
 
                         //Create & add select/text filters to each column
-                        if (filterColumn.eq(column.index()).hasClass('select-filter')) {
-                            var select = $('<select class="form-control"><option value="">All</option></select>')
-                                .appendTo(filterColumn.eq(column.index()).empty())
+                        if (filterCell.hasClass('select-filter')) {
+                            var select = $('<select class="form-control"><option value="">' + $.i18n('table.filter.all') + '</option></select>')
+                                .appendTo(filterCell.empty())
                                 .on('change', function () {
+                                    if (serverSide) {
+                                        //Server matches select filters exactly
+                                        column.search($(this).val()).draw();
+                                        return;
+                                    }
                                     var val = $.fn.dataTable.util.escapeRegex(
                                         $(this).val()
                                     );
@@ -264,34 +384,60 @@ var responsiveTextRatio = 0.2,
                                         .draw();
                                 });
 
-                            $(column).each(function () {
-                                if ($(column.nodes()).attr('data-search')) {
-                                    var titles = [];
-                                    column.nodes().unique().sort().each(function (d, j) {
-                                        var title = $(d).attr('data-display');
-                                        if ($.inArray(title, titles) < 0) {
-                                            titles.push(title);
-                                            if (title !== undefined) {
-                                                select.append('<option value="' + title + '">' + title + '</option>')
-                                            }
-                                        }
-                                    });
-                                }
-                                else {
-                                    column.data().unique().sort().each(function (d, j) {
-                                        select.append('<option value="' + d + '">' + d + '</option>')
+                            if (serverSide) {
+                                //Only the current page is in the DOM, so ask the server for the options
+                                if (distinctValuesUri) {
+                                    $.getJSON(distinctValuesUri, {column: column.dataSrc()}, function (values) {
+                                        $.each(values, function (i, value) {
+                                            select.append($('<option></option>').val(value).text(value));
+                                        });
+                                        select.val(savedSearch);
                                     });
                                 }
-                            });
+                            }
+                            else {
+                                $(column).each(function () {
+                                    if ($(column.nodes()).attr('data-search')) {
+                                        var titles = [];
+                                        column.nodes().unique().sort().each(function (d, j) {
+                                            var title = $(d).attr('data-display');
+                                            if ($.inArray(title, titles) < 0) {
+                                                titles.push(title);
+                                                if (title !== undefined) {
+                                                    select.append('<option value="' + title + '">' + title + '</option>')
+                                                }
+                                            }
+                                        });
+                                    }
+                                    else {
+                                        column.data().unique().sort().each(function (d, j) {
+                                            select.append('<option value="' + d + '">' + d + '</option>')
+                                        });
+                                    }
+                                });
+                                select.val(savedSearch);
+                            }
                         }
-                        else if (filterColumn.eq(column.index()).hasClass('text-filter')) {
-                            var title = filterColumn.eq(column.index()).attr('data-for');
-                            $(filterColumn.eq(column.index()).empty()).html('<input type="text" class="form-control" placeholder="Search for ' + title + '" />');
-
-                            filterColumn.eq(column.index()).find('input').on('keyup change', function () {
-                                column
-                                    .search($(this).val())
-                                    .draw();
+                        else if (filterCell.hasClass('text-filter')) {
+                            var title = filterCell.attr('data-for');
+                            filterCell.empty().html('<input type="text" class="form-control" placeholder="' + $.i18n('table.filter.column', title) + '" />');
+
+                            var searchTimer;
+                            filterCell.find('input').val(savedSearch).on('keyup change', function () {
+                                var val = $(this).val();
+                                if (!serverSide) {
+                                    column
+                                        .search(val)
+                                        .draw();
+                                    return;
+                                }
+                                //Wait for typing to pause instead of requesting every key stroke
+                                clearTimeout(searchTimer);
+                                searchTimer = setTimeout(function () {
+                                    if (column.search() !== val) {
+                                        column.search(val).draw();
+                                    }
+                                }, SERVER_SEARCH_DELAY);
                             });
                         }
 
@@ -302,40 +448,54 @@ var responsiveTextRatio = 0.2,
                     search_input.before('<i class="fw fw-search search-icon"></i>').removeClass('input-sm');
 
                     // Create sorting dropdown menu for list table advance operations 
-                    var dropdownmenu = $('<ul class="dropdown-menu arrow arrow-top-right dark sort-list add-margin-top-2x"><li class="dropdown-header">Sort by</li></ul>');
-                    $('.sort-row th', elem).each(function(){
+                    var dropdownmenu = $('<ul class="dropdown-menu arrow arrow-top-right dark sort-list add-margin-top-2x"><li class="dropdown-header">' + $.i18n('table.sort-by') + '</li></ul>');
+                    $(sortCells).each(function(index){
                         if(!$(this).hasClass('no-sort')){
-                            dropdownmenu.append('<li><a href="#' + $(this).html() + '" data-column="' + $(this).index() + '">' + $(this).html() + '</a></li>');
+                            dropdownmenu.append('<li><a href="#' + $(this).html() + '" data-column="' + index + '">' + $(this).html() + '</a></li>');
                         }
                     });
 
                     //Append advance operations to list table toolbar
                     $('.dataTable.list-table').closest('.dataTables_wrapper').find('.dataTablesTop .dataTables_toolbar').html('' +
                         '<ul class="nav nav-pills navbar-right remove-margin" role="tablist">' +
-                            '<li><button data-click-event="toggle-selected" class="btn btn-default btn-primary">Select All</li>' +
+                            '<li><button data-click-event="toggle-selected" class="btn btn-default btn-primary">' + $.i18n('table.select-all') + '</li>' +
                             '<li><button data-click-event="toggle-list-view" data-view="grid" class="btn btn-default"><i class="fw fw-grid"></i></button></li>' +
                             '<li><button data-click-event="toggle-list-view" data-view="list" class="btn btn-default"><i class="fw fw-list"></i></button></li>' +
                             '<li><button class="btn btn-default" data-toggle="dropdown"><i class="fw fw-sort"></i></button>'+dropdownmenu[0].outerHTML+'</li>' +
                         '</ul>'
                     );
 
+                    //Mark the restored sort in the sorting dropdown menu
+                    var order = api.order();
+                    if (order.length > 0) {
+                        $(this).closest('.dataTables_wrapper').find('.sort-list a[data-column="' + originalIndex(order[0][0]) + '"]')
+                            .addClass('sorting_' + order[0][1]);
+                    }
+
                     //Sorting dropdown menu select function
                     $('.dataTables_wrapper .sort-list li a').click(function() {
                         $(this).closest('li').siblings('li').find('a').removeClass('sorting_asc').removeClass('sorting_desc');
 
                         var thisTable = $(this).closest('.dataTables_wrapper').find('.dataTable').dataTable();
 
+                        //Menu holds original column indexes, which move when columns are reordered
+                        var reorder = thisTable.api().settings()[0]._colReorder,
+                            column = parseInt($(this).attr('data-column'));
+                        if (reorder) {
+                            column = $.inArray(column, reorder.fnOrder());
+                        }
+
                         if (!($(this).hasClass('sorting_asc')) && !($(this).hasClass('sorting_desc'))) {
                             $(this).addClass('sorting_asc');
-                            thisTable.fnSort( [ [$(this).attr('data-column'),'asc'] ] );
+                            thisTable.fnSort( [ [column,'asc'] ] );
                         }
                         else if($(this).hasClass('sorting_asc')) {
                             $(this).switchClass('sorting_asc', 'sorting_desc');
-                            thisTable.fnSort( [ [$(this).attr('data-column'),'desc'] ] );
+                            thisTable.fnSort( [ [column,'desc'] ] );
                         }
                         else if($(this).hasClass('sorting_desc')) {
                             $(this).switchClass('sorting_desc', 'sorting_asc');
-                            thisTable.fnSort( [ [$(this).attr('data-column'),'asc'] ] );
+                            thisTable.fnSort( [ [column,'asc'] ] );
                         }
                     });
 
@@ -344,18 +504,19 @@ var responsiveTextRatio = 0.2,
                         var button = this,
                             thisTable = $(this).closest('.dataTables_wrapper').find('.dataTable').dataTable();
 
-                        if($(button).html() == 'Select All') {
+                        if(!$(button).data('all-selected')) {
                             thisTable.api().rows().every(function () {
                                 $(this.node()).addClass(ROW_SELECTED_CLASS);
-                                $(button).html('Deselect All');
+                                $(button).data('all-selected', true).html($.i18n('table.deselect-all'));
                             });
                         }
-                        else if($(button).html() == 'Deselect All') {
+                        else {
                             thisTable.api().rows().every(function () {
                                 $(this.node()).removeClass(ROW_SELECTED_CLASS);
-                                $(button).html('Select All');
+                                $(button).data('all-selected', false).html($.i18n('table.select-all'));
                             });
                         }
+                        thisTable.trigger('selection-change');
                     });
 
                     //Event for row select/deselect
@@ -366,11 +527,19 @@ var responsiveTextRatio = 0.2,
 
                         thisTable.api().rows().every(function () {
                             if(!$(this.node()).hasClass(ROW_SELECTED_CLASS)){
-                                $(button).closest('.dataTables_wrapper').find('[data-click-event=toggle-selected]').html('Select All');
+                                $(button).closest('.dataTables_wrapper').find('[data-click-event=toggle-selected]')
+                                    .data('all-selected', false).html($.i18n('table.select-all'));
                             }
                         });
+                        thisTable.trigger('selection-change');
                     });
 
+                    //Restore the saved list/grid view
+                    var loadedState = api.state.loaded();
+                    if (loadedState && loadedState.view == 'grid') {
+                        elem.addClass('grid-view');
+                    }
+
                     //list table list/grid view toggle function
                     var toggleButton = $('[data-click-event=toggle-list-view]');
                     toggleButton.click(function(){
@@ -384,14 +553,76 @@ var responsiveTextRatio = 0.2,
                             //$(this).closest('li').hide();
                             //$(this).closest('li').siblings().show();
                         }
+                        $(this).closest('.dataTables_wrapper').find('.dataTable').DataTable().state.save();
                     });
 
                     //delete selected rows
                     $('[data-click-event=delete-selected-rows]').click(function(){
                         var thisTable = $(this).closest('.dataTables_wrapper').find('.dataTable').dataTable();
                         thisTable.api().rows('.'+ROW_SELECTED_CLASS).remove().draw(false);
+                        thisTable.trigger('selection-change');
                     });
 
+                    var toolbar = $(this).closest('.dataTables_wrapper').find('.dataTablesTop .dataTables_toolbar');
+                    var toolbarItems = function(){
+                        if (toolbar.children('ul').length == 0) {
+                            toolbar.html('<ul class="nav nav-pills navbar-right remove-margin" role="tablist"></ul>');
+                        }
+                        return toolbar.children('ul');
+                    };
+
+                    //Column show/hide menu, when uuf.unit.lib.data-table loads ColVis
+                    if ($.fn.dataTable.ColVis && !(settings && settings.columnToggle === false)) {
+                        var colVis = new $.fn.dataTable.ColVis(api.settings()[0], {
+                            buttonText: '<i class="fw fw-view"></i>',
+                            align: 'right'
+                        });
+                        $(colVis.button()).find('button').addClass('btn btn-default').attr('title', $.i18n('table.columns'));
+                        toolbarItems().append($('<li></li>').append(colVis.button()));
+                    }
+
+                    //Export menu, when uuf.unit.lib.data-table provides the exporter. Server-side tables
+                    //only hold the current page, so they need an exportUri to export from
+                    if ($.datatables_export && !(settings && settings.exportable === false) &&
+                        !(serverSide && !settings.exportUri)) {
+                        var exportOptions = {
+                            fileName: (settings && settings.exportFileName) || elem.attr('id') || 'export',
+                            exportUri: serverSide ? settings.exportUri : null,
+                            rowIdSrc: settings && settings.rowIdSrc
+                        };
+                        var exportMenu = $('<ul class="dropdown-menu arrow arrow-top-right dark export-list add-margin-top-2x"></ul>');
+                        $.each([false, true], function(i, selectedOnly){
+                            exportMenu.append($('<li class="dropdown-header"></li>')
+                                .text($.i18n(selectedOnly ? 'table.export.selected' : 'table.export')));
+                            $.each($.datatables_export.formats, function(j, format){
+                                exportMenu.append($('<li></li>').append($('<a href="#"></a>')
+                                    .attr({'data-export': format, 'data-selected-only': selectedOnly})
+                                    .text($.i18n('table.export.' + format))));
+                            });
+                        });
+                        toolbarItems().append($('<li></li>')
+                            .append($('<button class="btn btn-default" data-toggle="dropdown"><i class="fw fw-export"></i></button>')
+                                .attr('title', $.i18n('table.export')))
+                            .append(exportMenu));
+
+                        exportMenu.on('click', 'a[data-export]', function(e){
+                            e.preventDefault();
+                            $.datatables_export.run(api, $(this).attr('data-export'), $.extend({}, exportOptions, {
+                                selectedOnly: ($(this).attr('data-selected-only') == 'true')
+                            }));
+                        });
+                    }
+
+                    //Action bar for the selected rows, when uuf.unit.lib.data-table provides bulk actions
+                    if ($.datatables_bulk_actions && settings && settings.bulkActions) {
+                        $.datatables_bulk_actions.attach(api, settings.bulkActions, {rowIdSrc: settings.rowIdSrc});
+                    }
+
+                    //Inline cell editing, when uuf.unit.lib.data-table provides the editor
+                    if ($.datatables_editor && settings && settings.editUri) {
+                        $.datatables_editor.attach(api, {uri: settings.editUri, rowIdSrc: settings.rowIdSrc});
+                    }
+
                     $('.random-thumbs .thumbnail.icon').random_background_color();
 
                 }
@@ -442,11 +673,73 @@ var responsiveTextRatio = 0.2,
 
 
     /**
-     * Sidebar function
+     * @description Look up a message rendered by uuf.unit.i18n.bundle for the negotiated locale
+     * @param  {String}     Key of the message
+     * @param  {...*}       Values of the {0}, {1}, ... placeholders of the message
+     * @return {String}     Message, or the key if the message is not defined
+     */
+    $.i18n = function(key){
+        //Each unit or page with scripts that need messages renders its own bundle
+        var bundles = $('script.uuf-i18n');
+        if (!$.i18n.messages || ($.i18n.bundleCount !== bundles.length)) {
+            $.i18n.messages = {};
+            $.i18n.bundleCount = bundles.length;
+            bundles.each(function(){
+                $.extend($.i18n.messages, $.parseJSON($(this).html()));
+            });
+        }
+        var message = $.i18n.messages[key],
+            args = Array.prototype.slice.call(arguments, 1);
+        if (message === undefined) {
+            return key;
+        }
+        return message.replace(/\{(\d+)\}/g, function(placeholder, index){
+            return (args[index] !== undefined) ? args[index] : placeholder;
+        });
+    };
+
+
+    /**
+     * @description Attach the CSRF token rendered by uuf.unit.csrf to same origin AJAX requests
+     * @param  {String}     Name of the HTTP header carrying the token
+     * @return {Null}
+     */
+    $.csrf_setup = function(header){
+        var token = $('meta[name="csrf-token"]').attr('content');
+        if (!token) {
+            return;
+        }
+        //A prefilter, unlike a default beforeSend, is not replaced by the beforeSend of a request
+        $.ajaxPrefilter(function(options, originalOptions, jqXHR){
+            if (!options.crossDomain && !(/^(GET|HEAD|OPTIONS)$/i.test(options.type))) {
+                jqXHR.setRequestHeader(header || 'X-CSRF-Token', token);
+            }
+        });
+    };
+
+
+    /**
+     * Sidebar function. Sides can be given as "start" or "end", which are mirrored when the
+     * document direction is right to left.
      * @return {Null}
      */
     $.sidebar_toggle = function() {
-        var elem = '[data-toggle=sidebar]';
+        var elem = '[data-toggle=sidebar]',
+            rtl = ($('html').attr('dir') === 'rtl');
+
+        var resolveSide = function(side) {
+            if (side === 'start') {
+                return rtl ? 'right' : 'left';
+            }
+            if (side === 'end') {
+                return rtl ? 'left' : 'right';
+            }
+            return side;
+        };
+
+        $('.sidebar-wrapper[data-side=start], .sidebar-wrapper[data-side=end]').each(function() {
+            $(this).attr('data-side', resolveSide($(this).attr('data-side')));
+        });
 
         return $(elem).each(function() {
             $(elem).click(function(e) {
@@ -460,18 +753,18 @@ var responsiveTextRatio = 0.2,
                 if($(this).attr('data-container-push')) {
                     $(container)
                         .toggleAttr('data-container-push', 'true', 'false')
-                        .attr('data-push-side', $(this).attr('data-push-side'));
+                        .attr('data-push-side', resolveSide($(this).attr('data-push-side')));
                 }
 
                 else if($(this).attr('data-container-divide')) {
                     $(container)
                         .toggleAttr('data-container-divide', 'true', 'false')
-                        .attr('data-divide-side', $(this).attr('data-divide-side'));
+                        .attr('data-divide-side', resolveSide($(this).attr('data-divide-side')));
                 }
 
                 $(target)
                     .toggleClass("toggled")
-                    .attr('data-side', $(this).attr('data-side'));
+                    .attr('data-side', resolveSide($(this).attr('data-side')));
             });
         });
     };
@@ -539,6 +832,7 @@ var responsiveTextRatio = 0.2,
 }(jQuery));
 
 $(document).ready(function(){
+    $.csrf_setup();
     $('.tree-view').tree_view();
     $.file_input();
     $.sidebar_toggle();
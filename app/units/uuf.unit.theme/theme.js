@@ -0,0 +1,11 @@
+function onRequest(context) {
+    var i18n = require("/app/modules/i18n.js").i18n;
+    var theme = require("/app/modules/theme.js").theme;
+    var stylesheets = theme.getStylesheets(context);
+    return {
+        rtl: (i18n.getDirection(context) == "rtl"),
+        themeStylesheet: stylesheets.theme,
+        colorSchemeStylesheet: stylesheets.colorScheme,
+        primaryColors: require("/app/modules/branding.js").branding.getPrimaryColors(context)
+    };
+}
\ No newline at end of file
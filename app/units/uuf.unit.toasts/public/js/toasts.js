@@ -0,0 +1,99 @@
+/**
+ * Toast notifications, e.g. UUF.notify.success("Saved the changes.") or
+ * UUF.notify.error("Cannot save the changes.", {title: "Error"}). Toasts use the wso2 noty theme
+ * and the icons of uuf.unit.alert. A toast identical to one already shown or waiting is dropped,
+ * and toasts beyond the visible limit wait until earlier ones close. Toasts queued on the server
+ * through the toasts module are shown once the page loads.
+ */
+var UUF = window.UUF || {};
+
+UUF.notify = (function ($) {
+    var ICONS = {success: "ok", info: "info", warning: "warning", error: "error"};
+    var NOTY_TYPES = {success: "success", info: "information", warning: "warning", error: "error"};
+    var settings = {layout: "topRight", timeout: 5, maxVisible: 5};
+    var visible = [],
+        waiting = [];
+
+    var escape = function (text) {
+        return $("<div></div>").text(text).html();
+    };
+
+    var keyOf = function (toast) {
+        return toast.type + "\n" + (toast.title || "") + "\n" + toast.message;
+    };
+
+    var isPending = function (key) {
+        var all = visible.concat(waiting);
+        for (var i = 0; i < all.length; i++) {
+            if (all[i].key == key) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    var display = function (toast) {
+        visible.push(toast);
+        var timeout = (toast.timeout != undefined) ? toast.timeout : settings.timeout;
+        noty({
+            text: '<i class="icon fw fw-' + ICONS[toast.type] + '"></i> ' +
+                  (toast.title ? "<strong>" + escape(toast.title) + "</strong> " : "") +
+                  escape(toast.message),
+            type: NOTY_TYPES[toast.type],
+            layout: settings.layout,
+            theme: "wso2",
+            timeout: (timeout > 0) ? timeout * 1000 : false,
+            maxVisible: settings.maxVisible,
+            callback: {
+                afterClose: function () {
+                    visible.splice($.inArray(toast, visible), 1);
+                    if (waiting.length > 0) {
+                        display(waiting.shift());
+                    }
+                }
+            }
+        });
+    };
+
+    /**
+     * @param type {String} success, info, warning or error
+     * @param message {String} message, shown as text
+     * @param options {Object} optional "title", and "timeout" in seconds, 0 to keep the toast
+     * open until it is clicked
+     */
+    var show = function (type, message, options) {
+        var toast = $.extend({}, options, {type: ICONS[type] ? type : "info", message: message});
+        toast.key = keyOf(toast);
+        if (isPending(toast.key)) {
+            return;
+        }
+        if (visible.length < settings.maxVisible) {
+            display(toast);
+        } else {
+            waiting.push(toast);
+        }
+    };
+
+    var api = {show: show};
+    $.each(ICONS, function (type) {
+        api[type] = function (message, options) {
+            show(type, message, options);
+        };
+    });
+
+    $(document).ready(function () {
+        var queued = $("#uuf-toasts");
+        if (queued.length == 0) {
+            return;
+        }
+        settings.layout = queued.attr("data-layout") || settings.layout;
+        var timeout = parseInt(queued.attr("data-timeout"));
+        settings.timeout = isNaN(timeout) ? settings.timeout : timeout;
+        settings.maxVisible = parseInt(queued.attr("data-max-visible")) || settings.maxVisible;
+        $.each($.parseJSON(queued.html() || "[]"), function (i, toast) {
+            show(toast.type, toast.message, {title: toast.title});
+        });
+    });
+
+    return api;
+})(jQuery);
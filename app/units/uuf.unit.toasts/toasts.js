@@ -0,0 +1,13 @@
+function onRequest(context) {
+    var toasts = require("/app/modules/toasts.js").toasts;
+    var configs = toasts.getConfigs(context);
+    // Escape characters that could end the script element the toasts are rendered into.
+    var queued = stringify(toasts.drain())
+        .replace(/</g, "\\u003c").replace(/>/g, "\\u003e").replace(/&/g, "\\u0026");
+    return {
+        layout: configs["layout"],
+        timeout: configs["timeout"],
+        maxVisible: configs["maxVisible"],
+        queued: queued
+    };
+}
\ No newline at end of file
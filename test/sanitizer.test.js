@@ -0,0 +1,128 @@
+/**
+ * Checks of the allow-list and of the XSS payload handling of app/modules/sanitizer.js. The module
+ * uses no Jaggery globals, so it is evaluated as is. Run with "node --test test/".
+ */
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("node:fs");
+var path = require("node:path");
+var vm = require("node:vm");
+
+var sandbox = {};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, "../app/modules/sanitizer.js"), "utf8"),
+                   sandbox);
+var sanitizer = sandbox.sanitizer;
+
+var PAYLOADS = [
+    "<script>alert(1)</script>",
+    "<img src=\"x\" onerror=\"alert(2)\">",
+    "<svg onload=\"alert(3)\"></svg>",
+    "<a href=\"javascript:alert(4)\">link</a>",
+    "<a href=\"jav&#x09;ascript:alert(5)\">link</a>",
+    "<a href=\" JaVaScRiPt:alert(6)\">link</a>",
+    "<a href=\"java\tscript:alert(7)\">link</a>",
+    "<a href=\"data:text/html,<script>alert(8)</script>\">link</a>",
+    "<b onmouseover=\"alert(9)\">bold</b>",
+    "\"><script>alert(10)</script>",
+    "<iframe src=\"javascript:alert(11)\"></iframe>",
+    "<scr<script>ipt>alert(12)</script>",
+    "<p style=\"background:url(javascript:alert(13))\">styled</p>",
+    "<math><mtext><table><mglyph><style><img src=x onerror=alert(14)>",
+    "<a href=\"#\" title=\"x\" onclick=\"alert(15)\">link</a>",
+    "<!--<img src=x onerror=alert(16)>--><img src=x onerror=alert(16)>",
+    "<a href=x onclick=alert(17)>link</a>",
+    "<b/onmouseover=alert(18)>bold</b>",
+    "<a title='x' href='vbscript:alert(19)'>link</a>"
+];
+
+// Tags and attributes that may be left in place by sanitize().
+var ALLOWED_TAGS = ["a", "b", "strong", "i", "em", "u", "small", "code", "pre", "p", "br", "span",
+                    "ul", "ol", "li"];
+var ALLOWED_ATTRIBUTES = ["href", "title", "rel"];
+
+/**
+ * Tags left in the output, with their attributes. Escaped text is not markup, so it is skipped.
+ */
+var getTags = function (html) {
+    var tags = [];
+    var pattern = /<\/?([a-zA-Z][a-zA-Z0-9]*)([^>]*)>/g;
+    var match;
+    while ((match = pattern.exec(html)) != null) {
+        var attributes = [];
+        var attributePattern = /([^\s=]+)="([^"]*)"/g;
+        var attribute;
+        while ((attribute = attributePattern.exec(match[2])) != null) {
+            attributes.push({name: attribute[1], value: attribute[2]});
+        }
+        tags.push({name: match[1], attributes: attributes, rest: match[2].replace(attributePattern,
+                                                                                   "").trim()});
+    }
+    return tags;
+};
+
+test("escape() leaves no markup characters", function () {
+    PAYLOADS.forEach(function (payload) {
+        assert.doesNotMatch(sanitizer.escape(payload), /[<>"'`]/, payload);
+    });
+});
+
+test("toSafeHtml() escapes unless HTML is allowed", function () {
+    PAYLOADS.forEach(function (payload) {
+        assert.strictEqual(sanitizer.toSafeHtml(payload), sanitizer.escape(payload));
+        assert.strictEqual(sanitizer.toSafeHtml(payload, "false"), sanitizer.escape(payload));
+        assert.strictEqual(sanitizer.toSafeHtml(payload, "true"), sanitizer.sanitize(payload));
+    });
+});
+
+test("sanitize() leaves only allowed tags and attributes of payloads", function () {
+    PAYLOADS.forEach(function (payload) {
+        getTags(sanitizer.sanitize(payload)).forEach(function (tag) {
+            assert.ok(ALLOWED_TAGS.indexOf(tag.name) >= 0, payload + ": <" + tag.name + ">");
+            assert.strictEqual(tag.rest, "", payload + ": <" + tag.name + tag.rest + ">");
+            tag.attributes.forEach(function (attribute) {
+                assert.ok(ALLOWED_ATTRIBUTES.indexOf(attribute.name) >= 0,
+                          payload + ": " + attribute.name);
+                if (attribute.name == "href") {
+                    assert.match(attribute.value, /^(https?:|mailto:|[^:]*$|[^:]*[\/?#])/,
+                                 payload + ": " + attribute.value);
+                }
+            });
+        });
+    });
+});
+
+test("sanitize() keeps allowed markup and links", function () {
+    assert.strictEqual(sanitizer.sanitize("<b>bold</b> <em>em</em><br/>"),
+                       "<b>bold</b> <em>em</em><br>");
+    assert.strictEqual(sanitizer.sanitize("<a href=\"/path?at=10:00\" title=\"t\">link</a>"),
+                       "<a href=\"/path?at=10:00\" title=\"t\" rel=\"noopener noreferrer\">" +
+                       "link</a>");
+    assert.strictEqual(sanitizer.sanitize("<a href='https://example.com/'>x</a>"),
+                       "<a href=\"https://example.com/\" rel=\"noopener noreferrer\">x</a>");
+    assert.strictEqual(sanitizer.sanitize("<a href=\"mailto:a@example.com\">x</a>"),
+                       "<a href=\"mailto:a@example.com\" rel=\"noopener noreferrer\">x</a>");
+});
+
+test("sanitize() drops unsafe URLs and handlers of allowed tags", function () {
+    assert.strictEqual(sanitizer.sanitize("<a href=\"javascript:alert(1)\">x</a>"),
+                       "<a rel=\"noopener noreferrer\">x</a>");
+    assert.strictEqual(sanitizer.sanitize("<b onclick=\"alert(1)\">x</b>"), "<b>x</b>");
+    assert.strictEqual(sanitizer.sanitize("<p style=\"color:red\">x</p>"), "<p>x</p>");
+});
+
+test("sanitize() escapes tags outside the allow-list and removes comments", function () {
+    assert.strictEqual(sanitizer.sanitize("<script>alert(1)</script>"),
+                       "&lt;script&gt;alert(1)&lt;/script&gt;");
+    assert.strictEqual(sanitizer.sanitize("a<!-- <b>x</b> -->b"), "ab");
+});
+
+test("sanitize() balances tags", function () {
+    assert.strictEqual(sanitizer.sanitize("<b><i>x</b>"), "<b><i>x</i></b>");
+    assert.strictEqual(sanitizer.sanitize("<ul><li>x"), "<ul><li>x</li></ul>");
+    assert.strictEqual(sanitizer.sanitize("x</b>"), "x");
+});
+
+test("sanitize() and escape() accept null", function () {
+    assert.strictEqual(sanitizer.sanitize(null), "");
+    assert.strictEqual(sanitizer.escape(undefined), "");
+});